@@ -0,0 +1,58 @@
+const { CONTENT_TYPE_FORMATS, importQuestions } = require("../lib/importer");
+const { saveDataset, getDataset, canAccessDataset } = require("../lib/datasets");
+
+module.exports = {
+    // Parse a CSV or JSONL upload into questions, optionally saving them as a dataset
+    // The file is sent raw (options in the query string) or as JSON: { content, format, mapping, mode, name, save }
+    importDataset: async (req, res) => {
+        try {
+            const options = typeof req.body === "string" ? { ...req.query, content: req.body } : { ...req.query, ...(req.body || {}) };
+            const format = options.format || CONTENT_TYPE_FORMATS[(req.get("Content-Type") || "").split(";")[0].trim()];
+            const save = options.save === true || options.save === "true";
+
+            if (typeof options.content !== "string" || options.content.length === 0) {
+                return res.status(400).json({ error: "Missing file content" });
+            }
+
+            const { questions, errors } = importQuestions(options.content, { format, mapping: options.mapping, mode: options.mode });
+            if (errors.length > 0) {
+                console.log(`[Import] Rejected ${format || "unknown"} upload with ${errors.length} error(s)`);
+                return res.status(400).json({ error: `The file has ${errors.length} error(s)`, errors });
+            }
+
+            if (!save) {
+                return res.json({ count: questions.length, questions });
+            }
+
+            const dataset = await saveDataset({
+                name: options.name || "Imported dataset",
+                user_id: req.user && req.user.id ? req.user.id : null,
+                questions,
+                source: { format, mapping: options.mapping || null, mode: options.mode || "reference" },
+            });
+            console.log(`[Import] Saved dataset ${dataset.id} with ${questions.length} questions`);
+            return res.status(201).json({ datasetId: dataset.id, name: dataset.name, count: questions.length, questions });
+        } catch (error) {
+            console.error('Error in importDataset endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Get a saved dataset
+    getDataset: async (req, res) => {
+        try {
+            const dataset = await getDataset(req.params.id);
+
+            if (!dataset) {
+                return res.status(404).json({ error: "Dataset not found" });
+            }
+            if (!canAccessDataset(dataset, req.user)) {
+                return res.status(403).json({ error: "You are not authorized to view this dataset" });
+            }
+            return res.json(dataset);
+        } catch (error) {
+            console.error('Error in getDataset endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+};
@@ -0,0 +1,98 @@
+const { AVAILABLE_MODELS, listModels, saveModel } = require("../lib/models");
+
+// Fields an admin may set on a model
+const MODEL_FIELDS = ["slug", "display", "provider", "adapter", "adapterModel", "baseURL", "apiKeyEnv", "headers", "pricing", "enabled", "deprecated"];
+
+const pickModelFields = (body) => {
+    const fields = {};
+    MODEL_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (body.apiKey !== undefined) fields.apiKey = body.apiKey; // Rejected by saveModel with a clear message
+    return fields;
+};
+
+// Strip credentials before returning a model to the client
+const publicModel = (key) => listModels({ includeDisabled: true })[key];
+
+module.exports = {
+    // List models; disabled ones are only included with ?includeDisabled=true
+    listModels: (req, res) => {
+        res.json(listModels({ includeDisabled: req.query.includeDisabled === "true" }));
+    },
+
+    // Create a model (admin only)
+    createModel: async (req, res) => {
+        try {
+            const { key } = req.body;
+
+            if (!key) {
+                return res.status(400).json({ error: "Missing required field (key)" });
+            }
+            if (AVAILABLE_MODELS[key]) {
+                return res.status(409).json({ error: `Model ${key} already exists` });
+            }
+
+            await saveModel(key, pickModelFields(req.body));
+            console.log(`[Models] ${req.user.id} created model ${key}`);
+            return res.status(201).json({ key, ...publicModel(key) });
+        } catch (error) {
+            console.error('Error in createModel endpoint:', error.message);
+            // Invalid definitions are the client's to fix; failed writes carry status 500
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+    },
+
+    // Update some fields of a model (admin only)
+    updateModel: async (req, res) => {
+        try {
+            const { key } = req.params;
+            const existing = AVAILABLE_MODELS[key];
+
+            if (!existing) {
+                return res.status(404).json({ error: "Model not found" });
+            }
+
+            // A literal API key from CUSTOM_MODELS stays in memory but is never persisted
+            const { apiKey, ...current } = existing;
+            await saveModel(key, { ...current, ...pickModelFields(req.body) }, { apiKey });
+            console.log(`[Models] ${req.user.id} updated model ${key}`);
+            return res.json({ key, ...publicModel(key) });
+        } catch (error) {
+            console.error('Error in updateModel endpoint:', error.message);
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+    },
+
+    // Disable a model so it can no longer be evaluated, optionally pointing at its replacement (admin only)
+    disableModel: async (req, res) => {
+        try {
+            const { key } = req.params;
+            const { message, replacedBy } = req.body || {};
+            const existing = AVAILABLE_MODELS[key];
+
+            if (!existing) {
+                return res.status(404).json({ error: "Model not found" });
+            }
+            if (replacedBy && !AVAILABLE_MODELS[replacedBy]) {
+                return res.status(400).json({ error: `Replacement model ${replacedBy} does not exist` });
+            }
+
+            const { apiKey, ...current } = existing;
+            await saveModel(key, {
+                ...current,
+                enabled: false,
+                deprecated: {
+                    at: new Date().toISOString(),
+                    message: message || (existing.deprecated && existing.deprecated.message) || "Disabled by an administrator.",
+                    replacedBy: replacedBy || (existing.deprecated && existing.deprecated.replacedBy) || null,
+                },
+            }, { apiKey });
+            console.log(`[Models] ${req.user.id} disabled model ${key}`);
+            return res.json({ key, ...publicModel(key) });
+        } catch (error) {
+            console.error('Error in disableModel endpoint:', error.message);
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+    },
+};
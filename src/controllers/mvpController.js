@@ -1,11 +1,29 @@
-const OpenAI = require("openai");
-const Anthropic = require("@anthropic-ai/sdk");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const memoryCache = require("memory-cache");
-const { createClient } = require("@supabase/supabase-js");
 
 // Simple in-memory storage for evaluations
-const { AVAILABLE_MODELS, getOpenRouterSlug, getDisplayName } = require("../lib/models");
+const { AVAILABLE_MODELS, getDisplayName, getProvider, getModelTarget, checkModelsAvailable } = require("../lib/models");
+const { getAdapter, isMockMode } = require("../lib/providers");
+const { supabase } = require("../lib/supabase");
+const { jobsStore } = require("../lib/jobs");
+const { createPool } = require("../lib/concurrency");
+const { withRetry, classifyError } = require("../lib/retry");
+const { summarizeSet, getOutcome } = require("../lib/summary");
+const { recordUsage, combineUsage, summarizeUsage } = require("../lib/usage");
+const { JUDGE_PROMPTS, resolveJudgeConfig, renderJudgePrompt, getJudgeTarget } = require("../lib/judge");
+const { buildRubricPrompt, scoreRubric } = require("../lib/rubric");
+const { toScorerConfig, validateScorer, runScorer } = require("../lib/scorers");
+const { aggregateVotes } = require("../lib/ensemble");
+const { summarizeAgreement } = require("../lib/agreement");
+const { isAutomaticEvaluation, startJudgingPass, recordJudgingPass } = require("../lib/judgingPasses");
+const { startRun, findResultIndex, recordRun, withoutRunHistory } = require("../lib/runHistory");
+const { getDataset, canAccessDataset } = require("../lib/datasets");
+const { EXPORT_FORMATS, exportSet } = require("../lib/exporter");
+const { Z_SCORES, DEFAULT_CONFIDENCE, summarizeStats } = require("../lib/stats");
+const { MAX_BOOTSTRAP_SAMPLES, compareModels } = require("../lib/significance");
+const { buildPairwisePrompt, resolvePairwiseJudge, parsePreference, summarizePairwise } = require("../lib/pairwise");
+const { buildLeaderboard, toLeaderboardSet } = require("../lib/leaderboard");
+const { validateMessages, buildMessages, formatTranscript } = require("../lib/conversation");
+const { validateGenerationParams, validateRunParams, resolveGenerationParams } = require("../lib/generationParams");
 const evaluationsStore = {
     // Map to store evaluation sets by ID
     items: new Map(),
@@ -61,97 +79,79 @@ const evaluationsStore = {
     },
 };
 
-// Unified OpenRouter Client (using OpenAI SDK)
-const openRouterClient = new OpenAI({
-    baseURL: "https://openrouter.ai/api/v1",
-    apiKey: process.env.OPENROUTER_API_KEY,
-    defaultHeaders: { 
-      "HTTP-Referer": "https://simpleevals.com", // Your site URL
-      "X-Title": "SimpleEvals", // Your site name
-      "Authorization": `Bearer ${process.env.OPENROUTER_API_KEY}` // Explicitly add as Bearer token
-    },
-});
-
-// Log OpenRouter initialization status at startup
-console.log("===== SimpleEvals OpenRouter Integration Initialized =====");
+// Log provider adapter status at startup
+console.log("===== SimpleEvals Provider Adapters Initialized =====");
 console.log(`OpenRouter API Key: ${process.env.OPENROUTER_API_KEY ? "Set ✓" : "NOT SET!"}`);
-console.log(`OpenRouter Client baseURL: ${openRouterClient.baseURL}`);
-
-// Supabase client setup
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY,
-);
-
-// Placeholder for the evaluator prompt from docs
-const evaluatorPromptTemplate = `
-You are a precise and objective evaluator tasked with determining if a model's answer correctly responds to a user question based on a provided reference answer.
-
-[QUESTION]
-{question}
-
-[REFERENCE ANSWER]
-{reference_answer}
-
-[MODEL RESPONSE]
-{model_response}
-
-Evaluate whether the model response correctly answers the question by comparing it to the reference answer. 
-
-Instructions for evaluation:
-1. The response is CORRECT if it contains the same key information as the reference answer, even if phrased differently.
-2. The response is INCORRECT if it:
-   - Contradicts the reference answer
-   - Misses critical information contained in the reference answer
-   - Adds incorrect information not in the reference answer
-   - Fails to address the question directly
-
-Respond with a JSON object in the following format:
-{
-  "is_correct": true/false,
-  "reasoning": "A brief explanation (1-2 sentences) of why the response is correct or incorrect."
+if (isMockMode()) {
+    console.log("MODEL_PROVIDER=mock - all model and judge calls use the offline mock provider");
 }
+Object.entries(AVAILABLE_MODELS).forEach(([name, config]) => {
+    console.log(`Model ${name}: ${config.adapter || "openrouter"} adapter`);
+});
 
-Your evaluation must be strict but fair, focusing only on correctness of information rather than style, verbosity, or tone.
-`;
-
-// Function to get response from a model (now using OpenRouter)
-const getModelResponse = async (modelName, question, systemMessage = "") => {
-    const openRouterModelSlug = getOpenRouterSlug(modelName);
+// Judge used when a request doesn't configure one
+const DEFAULT_JUDGE = resolveJudgeConfig().config;
+
+// "reference" grades each response against the question's reference answer; "pairwise" has the
+// judge compare the models' responses with each other
+const EVALUATION_MODES = ["reference", "pairwise"];
+
+// Function to get response from a model through the adapter its registry entry declares
+// Resolves to { status: "ok", content, attempts, error_class: null, usage } or, when the call failed,
+// { status: "error", content: null, attempts, error_class, usage: null, error: { code, message, http_status } }
+// `params` are the generation params (temperature, top_p, max_tokens, seed, stop) for this call
+// `priorMessages` are earlier user and assistant turns; the model answers `question` as the final user turn
+const getModelResponse = async (modelName, question, systemMessage = "", params = {}, priorMessages = []) => {
+    const target = getModelTarget(modelName);
+    const adapter = target ? getAdapter(target.adapter, target.endpoint) : null;
     let effectiveSystemMessage = systemMessage;
 
-    if (!openRouterModelSlug) {
-        console.warn(`Unsupported model requested for OpenRouter: ${modelName}`);
-        return `Model ${modelName} not supported via OpenRouter in this configuration.`;
+    if (!adapter) {
+        console.warn(`Unsupported model requested: ${modelName}`);
+        return {
+            status: "error",
+            content: null,
+            attempts: 0,
+            error_class: "invalid_model",
+            usage: null,
+            error: {
+                code: "invalid_model",
+                message: target
+                    ? `Model ${modelName} uses unknown adapter "${target.adapter}".`
+                    : `Model ${modelName} not supported in this configuration.`,
+                http_status: null,
+            },
+        };
     }
     try {
-        const messages = [];
+        // The system message comes first if provided. Adapters without a system role move it where the provider expects it.
+        const messages = buildMessages(question, effectiveSystemMessage, priorMessages);
 
-        // Add system message if provided. OpenRouter handles hoisting for compatible models.
-        if (effectiveSystemMessage) {
-            messages.push({ role: "system", content: effectiveSystemMessage });
-        }
-
-        // Add user message
-        messages.push({ role: "user", content: question });
-
-        console.log(`[${modelName}] Requesting response via OpenRouter (${openRouterModelSlug})`);
+        console.log(`[${modelName}] Requesting response via ${adapter.label} (${target.model})`);
         
         const startTime = Date.now();
-        const completion = await openRouterClient.chat.completions.create({
-            model: openRouterModelSlug,
-            messages: messages,
-            // max_tokens: 1000, // Removed as requested
-            // Add other parameters like temperature if needed
-        });
+        const { value: completion, attempts } = await withRetry(
+            () => adapter.complete({
+                model: target.model,
+                messages: messages,
+                params,
+            }),
+            { label: modelName }
+        );
         const endTime = Date.now();
         const duration = endTime - startTime;
         
-        console.log(`[${modelName}] Response received in ${duration}ms`);
+        console.log(`[${modelName}] Response received in ${duration}ms (${attempts} attempt${attempts === 1 ? "" : "s"})`);
         
-        return completion.choices[0].message.content.trim();
+        return {
+            status: "ok",
+            content: completion.content.trim(),
+            attempts,
+            error_class: null,
+            usage: recordUsage(completion.usage, modelName),
+        };
     } catch (error) {
-        console.error(`[${modelName}] Error calling OpenRouter:`, error.message);
+        console.error(`[${modelName}] Error calling ${adapter.label}:`, error.message);
         
         let errorMessage = error.message;
         // Attempt to extract more specific error details if available (OpenAI SDK style)
@@ -161,139 +161,123 @@ const getModelResponse = async (modelName, question, systemMessage = "") => {
             errorMessage = error.error.message;
         }
 
-        return `Error getting response from ${modelName} via OpenRouter: ${errorMessage}`;
+        const { errorClass, status } = error.errorClass
+            ? { errorClass: error.errorClass, status: error.status || null }
+            : classifyError(error);
+
+        return {
+            status: "error",
+            content: null,
+            attempts: error.attempts || 1,
+            error_class: errorClass,
+            usage: null,
+            error: {
+                code: errorClass,
+                message: `Error getting response from ${modelName} via ${adapter.label}: ${errorMessage}`,
+                http_status: status || null,
+            },
+        };
+    }
+};
+
+// Run an async call and measure how long it took
+const timeCall = async (call) => {
+    const startTime = Date.now();
+    const value = await call();
+    return { value, duration: Date.now() - startTime };
+};
+
+// Parse the judge's JSON verdict. Adapters without a JSON mode may wrap it in prose or code fences.
+const parseJudgeJson = (content) => {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        const match = /\{[\s\S]*\}/.exec(content || "");
+        if (!match) throw error;
+        return JSON.parse(match[0]);
     }
 };
 
-// Function to evaluate a response using LLM-as-judge (now using OpenRouter)
-const evaluateResponse = async (question, referenceAnswer, modelResponse) => {
-    const prompt = evaluatorPromptTemplate
-        .replace("{question}", question)
-        .replace("{reference_answer}", referenceAnswer)
-        .replace("{model_response}", modelResponse);
+// Function to evaluate a response using LLM-as-judge
+// `judge` is a config from resolveJudgeConfig ({ model, prompt, template, rubric })
+// Resolves to the judge's verdict plus the judge call's `usage` (null if the call failed).
+// Rubric verdicts also carry the weighted `score` and a per-criterion breakdown in `criteria`.
+const evaluateResponse = async (question, referenceAnswer, modelResponse, judge = DEFAULT_JUDGE) => {
+    const values = { question, referenceAnswer, modelResponse };
+    const prompt = judge.rubric
+        ? buildRubricPrompt(judge.rubric, values)
+        : renderJudgePrompt(judge.template, values);
 
     try {
-        console.log(`[Evaluator] Requesting evaluation via OpenRouter (openai/gpt-4.1-mini)`);
+        const target = getJudgeTarget(judge.model);
+        const judgeAdapter = getAdapter(target.adapter, target.endpoint);
+        if (!judgeAdapter) {
+            throw new Error(`Judge model ${judge.model} uses unknown adapter "${target.adapter}"`);
+        }
+        console.log(`[Evaluator] Requesting evaluation via ${judgeAdapter.label} (${judge.model}, ${judge.prompt} prompt)`);
         
         const startTime = Date.now();
-        const completion = await openRouterClient.chat.completions.create({
-            model: "openai/gpt-4.1-mini", // Using specified OpenRouter model for judge
-            messages: [{ role: "user", content: prompt }],
-            response_format: { type: "json_object" }, // Ensure JSON output
-        });
+        const { value: completion } = await withRetry(
+            () => judgeAdapter.complete({
+                model: target.model,
+                messages: [{ role: "user", content: prompt }],
+                json: true, // Ensure JSON output
+            }),
+            { label: "Evaluator" }
+        );
         const endTime = Date.now();
         const duration = endTime - startTime;
         
         console.log(`[Evaluator] Evaluation received in ${duration}ms`);
         
-        const evaluationResult = JSON.parse(
-            completion.choices[0].message.content,
-        );
-        return evaluationResult; // Should match { is_correct: boolean, reasoning: string }
+        const verdict = parseJudgeJson(completion.content);
+        // The verdict should match { is_correct: boolean, reasoning: string }, or the rubric's scores
+        const evaluationResult = judge.rubric ? scoreRubric(judge.rubric, verdict) : verdict;
+        return { ...evaluationResult, usage: recordUsage(completion.usage, judge.model) };
     } catch (error) {
-        console.error(`[Evaluator] Error calling OpenRouter:`, error.message);
-        return { is_correct: false, reasoning: "Error during evaluation." };
+        console.error(`[Evaluator] Error calling judge:`, error.message);
+        // A failed judge call is not a verdict on the model, so it is flagged rather than marked incorrect
+        return {
+            is_correct: null,
+            reasoning: "Error during evaluation.",
+            usage: null,
+            judge_error: { code: error.errorClass || classifyError(error).errorClass, message: error.message },
+        };
     }
 };
 
-// Controller function for the /evaluate endpoint
-// Create a new evaluation set or add to existing one
-exports.evaluateModels = async (req, res) => {
-    const { question, referenceAnswer, models, evalSetId, systemMessage } =
-        req.body;
-
-    if (!question || !referenceAnswer || !models) {
-        return res
-            .status(400)
-            .json({
-                message:
-                    "Missing required fields: question, referenceAnswer, models",
-            });
-    }
-
-    const selectedModels = Object.entries(models)
-        .filter(([_, isSelected]) => isSelected)
-        .map(([modelName, _]) => modelName);
-
-    if (selectedModels.length === 0) {
-        return res
-            .status(400)
-            .json({ message: "No models selected for evaluation." });
-    }
-
-    console.log(
-        `[SingleEval] Evaluating for models: ${selectedModels.join(", ")}${evalSetId ? ' in set ' + evalSetId : ''}`,
-    );
+// Ask the judge which of two responses to the same prompt is better
+// Resolves to { preference: 'A'|'B'|'tie', reasoning, usage }, or { preference: null, judge_error } on failure
+const comparePairResponses = async (question, referenceAnswer, responseA, responseB, judge) => {
+    const prompt = buildPairwisePrompt({ question, referenceAnswer, responseA, responseB });
 
     try {
-        const results = [];
-        for (const modelName of selectedModels) {
-            console.log(`Getting response from ${modelName}...`);
-            const response = await getModelResponse(
-                modelName,
-                question,
-                systemMessage,
-            );
-            console.log(`Evaluating response from ${modelName}...`);
-            const evaluation = await evaluateResponse(
-                question,
-                referenceAnswer,
-                response,
-            );
-
-            const modelDisplayNames = {
-                gpt4o: "GPT-4.1",
-                gpt41: "GPT-4.1",
-                claude3: "Claude Sonnet 4",
-                gemini: "Gemini 2.5",
-            };
-
-            results.push({
-                model: getDisplayName(modelName),
-                response: response,
-                evaluation: evaluation,
-            });
-        }
-        console.log(`[SingleEval] Completed evaluation for question: "${question.substring(0,30)}..."`);
-
-        // Store the evaluation in our data store
-        const questionData = {
-            question,
-            referenceAnswer,
-            systemMessage, // Store the system message
-            results,
-            timestamp: new Date().toISOString(),
-        };
-
-        let evalSet;
-
-        // Either add to existing set or create new one
-        if (evalSetId) {
-            evalSet = evaluationsStore.addQuestion(evalSetId, questionData);
-            if (!evalSet) {
-                return res
-                    .status(404)
-                    .json({ message: "Evaluation set not found" });
-            }
-        } else {
-            // Create a new set with this as the first question
-            evalSet = evaluationsStore.create({
-                name: "Evaluation Set",
-                questions: [questionData],
-            });
+        const target = getJudgeTarget(judge.model);
+        const judgeAdapter = getAdapter(target.adapter, target.endpoint);
+        if (!judgeAdapter) {
+            throw new Error(`Judge model ${judge.model} uses unknown adapter "${target.adapter}"`);
         }
+        console.log(`[Evaluator] Requesting pairwise comparison via ${judgeAdapter.label} (${judge.model})`);
+
+        const { value: completion } = await withRetry(
+            () => judgeAdapter.complete({
+                model: target.model,
+                messages: [{ role: "user", content: prompt }],
+                json: true,
+            }),
+            { label: "Evaluator" }
+        );
 
-        // Return results along with the evaluation set ID
-        res.json({
-            results,
-            evalSetId: evalSet.id,
-            questionCount: evalSet.questions.length,
-        });
+        const { preference, reasoning } = parsePreference(parseJudgeJson(completion.content));
+        return { preference, reasoning, usage: recordUsage(completion.usage, judge.model) };
     } catch (error) {
-        console.error("Error during model evaluation process:", error);
-        res.status(500).json({
-            message: "Internal server error during evaluation.",
-        });
+        console.error(`[Evaluator] Error calling judge:`, error.message);
+        return {
+            preference: null,
+            reasoning: "Error during comparison.",
+            usage: null,
+            judge_error: { code: error.errorClass || classifyError(error).errorClass, message: error.message },
+        };
     }
 };
 
@@ -338,16 +322,16 @@ const prepareEvaluationForSupabase = (evaluation) => {
     return cleanEvaluation;
 };
 
+// Supabase set IDs are UUIDs; in-memory sets use other IDs
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // Helper function to check if an evaluation with given id exists in Supabase
 const checkEvaluationInSupabase = async (id) => {
-    if (!id) return null;
+    if (!id || !supabase) return null;
     
     try {
-        // Check if the ID looks like a UUID (standard UUID format check)
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        
         // If it's not a UUID, it can't be in Supabase (Supabase uses UUIDs)
-        if (!uuidRegex.test(id)) {
+        if (!UUID_REGEX.test(id)) {
             console.log(`ID ${id} is not a UUID format - not in Supabase`);
             return null;
         }
@@ -377,8 +361,132 @@ const checkEvaluationInSupabase = async (id) => {
     }
 };
 
+// Find an evaluation set by ID. UUIDs are looked up in Supabase, other IDs in the in-memory store.
+// Resolves to { evaluationSet, storedInSupabase }, or null if there is no such set.
+const loadEvaluationSet = async (id) => {
+    const supabaseRecord = await checkEvaluationInSupabase(id);
+
+    if (supabaseRecord) {
+        const { data, error } = await supabase
+            .from("evaluations")
+            .select("*")
+            .eq("id", id)
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to retrieve evaluation data: ${error.message}`);
+        }
+        return data ? { evaluationSet: data, storedInSupabase: true } : null;
+    }
+
+    const evaluationSet = evaluationsStore.get(id);
+    return evaluationSet ? { evaluationSet, storedInSupabase: false } : null;
+};
+
+// Whether a user may read a set: sets without an owner are public, the rest are private to their owner
+const canAccessSet = (evaluationSet, user) => {
+    return !evaluationSet.user_id || Boolean(user && user.id === evaluationSet.user_id);
+};
+
+// Leaderboard scopes: the caller's own sets, public sets (no owner), or both
+const LEADERBOARD_SCOPES = ["all", "mine", "public"];
+// The leaderboard is fitted to at most this many of the most recent sets
+const LEADERBOARD_MAX_SETS = 1000;
+// Sets are read from Supabase this many at a time and stripped to the fields the leaderboard uses
+const LEADERBOARD_PAGE_SIZE = 100;
+
+// Load the sets a leaderboard covers, newest first, reduced by toLeaderboardSet. Rows come from
+// Supabase when it is configured, otherwise from the in-memory store. `from` and `to` are Dates
+// bounding created_at.
+const loadLeaderboardSets = async (user, { scope, from, to }) => {
+    const inScope = (ownerId) => {
+        if (scope === "mine") return Boolean(user && ownerId === user.id);
+        if (scope === "public") return !ownerId;
+        return !ownerId || Boolean(user && ownerId === user.id);
+    };
+
+    if (!supabase) {
+        return Array.from(evaluationsStore.items.values())
+            .filter((evaluationSet) => {
+                const createdAt = new Date(evaluationSet.created_at || evaluationSet.timestamp);
+                return inScope(evaluationSet.user_id)
+                    && (!from || createdAt >= from)
+                    && (!to || createdAt <= to);
+            })
+            .sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))
+            .slice(0, LEADERBOARD_MAX_SETS)
+            .map(toLeaderboardSet);
+    }
+
+    const buildQuery = () => {
+        let query = supabase.from("evaluations").select("id, user_id, questions, created_at");
+        if (scope === "mine") {
+            query = query.eq("user_id", user.id);
+        } else if (scope === "public" || !user) {
+            query = query.is("user_id", null);
+        } else {
+            query = query.or(`user_id.is.null,user_id.eq.${user.id}`);
+        }
+        if (from) query = query.gte("created_at", from.toISOString());
+        if (to) query = query.lte("created_at", to.toISOString());
+        return query.order("created_at", { ascending: false }).order("id");
+    };
+
+    const sets = [];
+    while (sets.length < LEADERBOARD_MAX_SETS) {
+        const pageSize = Math.min(LEADERBOARD_PAGE_SIZE, LEADERBOARD_MAX_SETS - sets.length);
+        const { data, error } = await buildQuery().range(sets.length, sets.length + pageSize - 1);
+        if (error) {
+            throw new Error(`Failed to load evaluations for the leaderboard: ${error.message}`);
+        }
+        sets.push(...data.map(toLeaderboardSet));
+        if (data.length < pageSize) break;
+    }
+    return sets;
+};
+
+// Write a changed set back to Supabase: update its row if it has one, otherwise insert a new row.
+// Errors are logged rather than thrown so the in-memory change still stands.
+// Resolves to the ID of a newly inserted row, or null.
+const persistEvaluationSet = async (evaluationSet, storedInSupabase, logTag) => {
+    const rowId = storedInSupabase ? evaluationSet.id : evaluationSet.supabaseId;
+
+    try {
+        if (!rowId) {
+            console.log(`[${logTag}] Saving evaluation to Supabase as a new record...`);
+            const supabaseId = await exports.saveEvaluationSetToSupabase(evaluationSet);
+            console.log(`[${logTag}] Saved to Supabase with ID: ${supabaseId}`);
+            evaluationSet.supabaseId = supabaseId;
+            return supabaseId;
+        }
+
+        console.log(`[${logTag}] Updating Supabase record with ID: ${rowId}`);
+        const preparedEvaluation = prepareEvaluationForSupabase(evaluationSet);
+        const { error: updateError } = await supabase
+            .from("evaluations")
+            .update({
+                questions: preparedEvaluation.questions,
+                results: preparedEvaluation.results,
+                updated_at: new Date().toISOString()
+            })
+            .eq("id", rowId);
+
+        if (updateError) {
+            throw updateError;
+        }
+        console.log(`[${logTag}] Successfully updated evaluation in Supabase`);
+    } catch (error) {
+        console.error(`[${logTag}] Error saving to Supabase: ${error.message}`);
+    }
+    return null;
+};
+
 // Save evaluation set to Supabase and return the new ID
 exports.saveEvaluationSetToSupabase = async (evaluationSet) => {
+    if (!supabase) {
+        throw new Error("Supabase is not configured");
+    }
+
     // Prepare a clean evaluation object for Supabase
     const preparedEvaluation = prepareEvaluationForSupabase(evaluationSet);
     
@@ -431,14 +539,19 @@ exports.saveEvaluationSetToSupabase = async (evaluationSet) => {
 };
 
 // Fetch evaluation set by ID from Supabase
+// Share links follow the same visibility as the other read endpoints (see canAccessSet)
+const sendSharedSet = (res, evaluationSet, user) => {
+    if (!canAccessSet(evaluationSet, user)) {
+        return res.status(403).json({ message: "You are not authorized to view this evaluation" });
+    }
+    return res.json(evaluationSet);
+};
+
 const getEvaluationSetByIdFromSupabase = async (req, res) => {
     const { id } = req.params;
     try {
-        // Check if the ID looks like a UUID (standard UUID format check)
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        
         // If it's not a UUID, check the local store instead
-        if (!uuidRegex.test(id)) {
+        if (!UUID_REGEX.test(id)) {
             console.log(`ID ${id} is not a UUID format - checking in-memory store`);
             
             // Try to get from in-memory store
@@ -446,7 +559,7 @@ const getEvaluationSetByIdFromSupabase = async (req, res) => {
             
             if (localSet) {
                 // Check if this evaluation has a Supabase ID
-                if (localSet.supabaseId) {
+                if (localSet.supabaseId && supabase) {
                     console.log(`Found local evaluation with Supabase ID: ${localSet.supabaseId}`);
                     
                     // Try to get the record from Supabase using the stored supabaseId
@@ -457,18 +570,22 @@ const getEvaluationSetByIdFromSupabase = async (req, res) => {
                         .single();
                         
                     if (!supabaseError && supabaseData) {
-                        return res.json(supabaseData);
+                        return sendSharedSet(res, supabaseData, req.user);
                     }
                 }
                 
                 // If we couldn't get from Supabase or there's no supabaseId, return the local data
-                return res.json(localSet);
+                return sendSharedSet(res, localSet, req.user);
             }
             
             // Not found in either storage
             return res.status(404).json({ message: "Evaluation not found" });
         }
         
+        if (!supabase) {
+            return res.status(404).json({ message: "Evaluation not found" });
+        }
+
         // For UUID format, check Supabase directly
         const { data, error } = await supabase
             .from("evaluations")
@@ -480,7 +597,7 @@ const getEvaluationSetByIdFromSupabase = async (req, res) => {
             return res.status(404).json({ message: "Evaluation not found" });
         }
         
-        res.json(data);
+        return sendSharedSet(res, data, req.user);
     } catch (err) {
         console.error("Error fetching evaluation from Supabase:", err);
         res.status(500).json({
@@ -489,122 +606,6 @@ const getEvaluationSetByIdFromSupabase = async (req, res) => {
     }
 };
 
-// Evaluate a set of questions in batch mode
-exports.evaluateSet = async (req, res) => {
-    try {
-        const { questions, models: modelNamesToEvaluate, systemMessage, setId, name } = req.body;
-        
-        console.log(`[Eval] Starting evaluation: ${name || 'Unnamed'} (${questions.length} questions) for models: ${modelNamesToEvaluate.join(', ')}`);
-        
-        // Validate request
-        if (!questions || !Array.isArray(questions) || questions.length === 0) {
-            return res.status(400).json({
-                error: "Missing or invalid questions array",
-            });
-        }
-        
-        if (!modelNamesToEvaluate || !Array.isArray(modelNamesToEvaluate) || modelNamesToEvaluate.length === 0) {
-            return res.status(400).json({
-                error: "No models specified for evaluation",
-            });
-        }
-        
-        // Create a new evaluation set or use existing one
-        let evaluationSet;
-        
-        if (setId) {
-            evaluationSet = evaluationsStore.get(setId);
-            if (!evaluationSet) {
-                return res.status(404).json({
-                    error: "Evaluation set not found",
-                });
-            }
-        } else {
-            // Add user_id if user is authenticated
-            const userData = req.user ? { user_id: req.user.id } : {};
-
-            // Make sure we capture the name properly
-            const evalName = name && name.trim() !== "" ? name : "Unnamed Evaluation";
-            console.log(`Creating evaluation set with name: ${evalName}`);
-
-            evaluationSet = evaluationsStore.create({
-                name: evalName,
-                // Store the original selection object if needed, or just the names
-                // For now, the frontend will reconstruct selection state if it needs to.
-                ...userData
-            });
-        }
-        
-        const modelDisplayNames = {
-            gpt4o: "GPT-4.1", 
-            gpt41: "GPT-4.1",
-            claude3: "Claude Sonnet 4",
-            gemini: "Gemini 2.5",
-        };
-
-        for (const { question, referenceAnswer } of questions) {
-            const questionResultsArray = []; // To store results for this single question
-            console.log(`[Eval] Processing question: "${question.substring(0, 30)}..."`);
-            
-            for (const modelName of modelNamesToEvaluate) { 
-                const responseStartTime = Date.now(); // Start timing for response
-                const responseContent = await getModelResponse(
-                    modelName, 
-                    question,
-                    systemMessage
-                );
-                const responseEndTime = Date.now(); // End timing for response
-                const responseTime = responseEndTime - responseStartTime;
-                
-                const evalStartTime = Date.now(); // Start timing for evaluation
-                const evaluationResult = await evaluateResponse(
-                    question,
-                    referenceAnswer,
-                    responseContent
-                );
-                const evalEndTime = Date.now(); // End timing for evaluation
-                const evalTime = evalEndTime - evalStartTime;
-                
-                questionResultsArray.push({
-                    model: getDisplayName(modelName),
-                    response: responseContent,
-                    evaluation: evaluationResult,
-                    timings: {
-                        responseTime: responseTime,
-                        evaluationTime: evalTime,
-                        totalTime: responseTime + evalTime,
-                    }
-                });
-                console.log(`[Eval] ${modelName} response processed and evaluated in ${responseTime + evalTime}ms`);
-            }
-            
-            const modelsSelectionForStorage = {};
-            modelNamesToEvaluate.forEach(m => modelsSelectionForStorage[m] = true);
-
-            evaluationsStore.addQuestion(evaluationSet.id, {
-                question,
-                referenceAnswer,
-                results: questionResultsArray, // Use the array structure here
-                models: modelsSelectionForStorage, 
-                systemMessage,
-            });
-        }
-        
-        // Get the updated evaluation set
-        const updatedEvalSet = evaluationsStore.get(evaluationSet.id);
-        
-        console.log(`[Eval] Completed evaluation: ${updatedEvalSet.name} (ID: ${updatedEvalSet.id})`);
-        
-        return res.json(updatedEvalSet);
-    } catch (error) {
-        console.error('Error in evaluateSet endpoint:', error.message);
-        return res.status(500).json({
-            error: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-        });
-    }
-};
-
 // Manually evaluate a response
 exports.manuallyEvaluateResponse = async (req, res) => {
     try {
@@ -619,48 +620,13 @@ exports.manuallyEvaluateResponse = async (req, res) => {
             });
         }
         
-        let evaluationSet = null;
-        let storedInSupabase = false;
-        
-        // First check if the ID exists in Supabase
-        const supabaseRecord = await checkEvaluationInSupabase(evaluationId);
-        
-        if (supabaseRecord) {
-            console.log(`[ManualEval] Found evaluation in Supabase with ID: ${evaluationId}`);
-            // This is a Supabase ID, fetch the full data
-            const { data, error } = await supabase
-                .from("evaluations")
-                .select("*")
-                .eq("id", evaluationId)
-                .single();
-                
-            if (error) {
-                console.error(`[ManualEval] Error fetching evaluation from Supabase: ${error.message}`);
-                return res.status(500).json({
-                    error: `Failed to retrieve evaluation data: ${error.message}`
-                });
-            }
-            
-            if (!data) {
-                return res.status(404).json({
-                    error: "Evaluation set not found in Supabase"
-                });
-            }
-            
-            evaluationSet = data;
-            storedInSupabase = true;
-        } else {
-            // Try to load from in-memory store
-            evaluationSet = evaluationsStore.get(evaluationId);
-            
-            if (!evaluationSet) {
-                return res.status(404).json({
-                    error: "Evaluation set not found in local store or Supabase"
-                });
-            }
-            
-            console.log(`[ManualEval] Found evaluation in local store with ID: ${evaluationId}`);
+        const loaded = await loadEvaluationSet(evaluationId);
+        if (!loaded) {
+            return res.status(404).json({
+                error: "Evaluation set not found in local store or Supabase"
+            });
         }
+        const { evaluationSet, storedInSupabase } = loaded;
         
         // Verify user is owner of the evaluation (if user auth is available)
         if (req.user && evaluationSet.user_id && req.user.id !== evaluationSet.user_id) {
@@ -685,124 +651,577 @@ exports.manuallyEvaluateResponse = async (req, res) => {
                 error: "Model result not found for this question"
             });
         }
+
+        // There is no response to grade when the model call itself failed
+        if (modelResult.status === "error") {
+            return res.status(409).json({
+                error: "Cannot evaluate a result whose model call failed"
+            });
+        }
         
-        // Update the evaluation result
-        modelResult.evaluation = {
+        const manualEvaluation = {
             is_correct: isCorrect,
             reasoning: reasoning || "Manually evaluated by user.",
             evaluation_type: "manual",
             evaluated_by: req.user ? req.user.id : null,
             evaluated_at: new Date().toISOString()
         };
+
+        // Keep the automatic verdict the first manual evaluation replaces, so judge and humans can be compared
+        const previous = modelResult.evaluation;
+        if (!modelResult.auto_evaluation && isAutomaticEvaluation(previous)) {
+            modelResult.auto_evaluation = previous;
+        }
+        // One manual evaluation per reviewer; re-evaluating replaces your own earlier verdict
+        modelResult.manual_evaluations = [
+            ...(modelResult.manual_evaluations || []).filter((entry) => entry.evaluated_by !== manualEvaluation.evaluated_by),
+            manualEvaluation,
+        ];
+        // The latest manual verdict is the effective one
+        modelResult.evaluation = manualEvaluation;
+        evaluationSet.results = { ...(evaluationSet.results || {}), summary: summarizeSet(evaluationSet) };
         
         // Always update the in-memory store
         evaluationsStore.items.set(evaluationId, evaluationSet);
+
+        const supabaseId = await persistEvaluationSet(evaluationSet, storedInSupabase, "ManualEval");
+        if (supabaseId) {
+            return res.json({
+                success: true,
+                evaluation: modelResult.evaluation,
+                supabaseId
+            });
+        }
         
-        // Check if this ID has a UUID format (Supabase uses UUIDs)
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        const isUuidFormat = uuidRegex.test(evaluationId);
+        return res.json({
+            success: true,
+            evaluation: modelResult.evaluation
+        });
+    } catch (error) {
+        console.error('Error in manuallyEvaluateResponse endpoint:', error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+// Grade one response with the set's judge inside the concurrency pool. Ensembles make one call
+// per judge model and sample and aggregate the votes.
+// Resolves to { evaluation, judgeUsage, evalTime }, where evalTime is the longest judge call.
+const judgeResponse = async (pool, question, referenceAnswer, responseContent, judge) => {
+    const callJudge = (judgeModel) => pool.run(
+        getJudgeTarget(judgeModel).provider,
+        () => timeCall(() => evaluateResponse(question, referenceAnswer, responseContent, { ...judge, model: judgeModel }))
+    );
+
+    if (!judge.ensemble) {
+        const { value: { usage, ...evaluationResult }, duration } = await callJudge(judge.model);
+        return {
+            evaluation: {
+                ...evaluationResult,
+                evaluation_type: evaluationResult.judge_error ? "judge_error" : judge.rubric ? "rubric" : "automatic",
+                judge_model: judge.model,
+            },
+            judgeUsage: usage,
+            evalTime: duration,
+        };
+    }
+
+    const calls = [];
+    judge.ensemble.models.forEach((judgeModel) => {
+        for (let sample = 1; sample <= judge.ensemble.samples; sample++) {
+            calls.push(callJudge(judgeModel).then(({ value, duration }) => ({ judgeModel, sample, value, duration })));
+        }
+    });
+    const outcomes = await Promise.all(calls);
+
+    const votes = outcomes.map(({ judgeModel, sample, value: { usage, ...vote } }) => ({ judge_model: judgeModel, sample, ...vote }));
+    const aggregated = aggregateVotes(votes, judge.ensemble, judge.rubric ? judge.rubric.threshold : undefined);
+    const failedVote = votes.find((vote) => vote.judge_error);
+    const allFailed = votes.every((vote) => vote.judge_error);
+
+    return {
+        evaluation: {
+            ...aggregated,
+            ...(allFailed ? { judge_error: failedVote.judge_error } : {}),
+            evaluation_type: allFailed ? "judge_error" : "ensemble",
+            judge_model: judge.ensemble.models.join(", "),
+        },
+        judgeUsage: combineUsage(outcomes.map(({ value }) => value.usage)),
+        evalTime: Math.max(...outcomes.map(({ duration }) => duration)),
+    };
+};
+
+// Grade one response with a programmatic scorer. Resolves to { evaluation, evalTime }.
+const scoreResponse = async (scorer, responseContent, referenceAnswer) => {
+    const { value: evaluationResult, duration } = await timeCall(
+        async () => runScorer(scorer, responseContent, referenceAnswer)
+    );
+    const scorerConfig = toScorerConfig(scorer);
+    return {
+        evaluation: {
+            ...evaluationResult,
+            evaluation_type: `scorer:${scorerConfig.type}`,
+            scorer: scorerConfig,
+        },
+        evalTime: duration,
+    };
+};
+
+// Compare every pair of successful responses to a question, showing each pair in random order
+// Resolves to the question's comparisons, with outcome 'a', 'b' or 'tie' for models[0] and models[1], or 'error'
+const compareQuestionResponses = async (jobId, pool, item, results, judge, questionIndex) => {
+    const answered = results.filter((result) => result && result.status !== "error");
+    const pairs = [];
+    answered.forEach((first, index) => {
+        answered.slice(index + 1).forEach((second) => pairs.push([first, second]));
+    });
+
+    return Promise.all(pairs.map(async ([first, second]) => {
+        // Randomized position limits the judge's bias towards the first or second response
+        const swapped = Math.random() < 0.5;
+        const [shownA, shownB] = swapped ? [second, first] : [first, second];
+
+        const { value: verdict, duration } = await pool.run(
+            getJudgeTarget(judge.model).provider,
+            () => timeCall(() => comparePairResponses(formatTranscript(item.question, item.messages), item.referenceAnswer, shownA.response, shownB.response, judge))
+        );
+
+        let outcome = "error";
+        if (verdict.preference === "tie") {
+            outcome = "tie";
+        } else if (verdict.preference) {
+            const winner = verdict.preference === "A" ? shownA : shownB;
+            outcome = winner === first ? "a" : "b";
+        }
+
+        const comparison = {
+            models: [first.model_key, second.model_key],
+            model_names: [first.model, second.model],
+            shown_order: [shownA.model_key, shownB.model_key],
+            preference: verdict.preference,
+            outcome,
+            winner: outcome === "a" ? first.model_key : outcome === "b" ? second.model_key : null,
+            reasoning: verdict.reasoning,
+            judge_model: judge.model,
+            judge_usage: verdict.usage,
+            evaluation_time: duration,
+            evaluated_at: new Date().toISOString(),
+            ...(verdict.judge_error ? { judge_error: verdict.judge_error } : {}),
+        };
+        jobsStore.emit(jobId, "comparison", { questionIndex, comparison });
+        return comparison;
+    }));
+};
+
+// Call a model on one question and grade the response with the question's scorer, the judge,
+// or not at all when the set is graded manually. Resolves to the stored result.
+const runPair = async (jobId, pool, item, modelName, options) => {
+    const { question, referenceAnswer, scorer, systemMessage, messages } = item;
+    const { questionIndex, params, judge, evaluateAutomatically, mode } = options;
+
+    // Timings are taken inside the pool so time spent waiting for a slot isn't counted
+    const { value: modelResponse, duration: responseTime } = await pool.run(
+        getProvider(modelName),
+        () => timeCall(() => getModelResponse(modelName, question, systemMessage, params, messages))
+    );
+    const responseContent = modelResponse.content;
+    jobsStore.emit(jobId, "response", {
+        questionIndex,
+        model: modelName,
+        status: modelResponse.status,
+        response: responseContent,
+        error: modelResponse.error || null,
+        responseTime,
+    });
+
+    const baseResult = {
+        model: getDisplayName(modelName),
+        model_key: modelName,
+        status: modelResponse.status,
+        response: responseContent,
+        attempts: modelResponse.attempts,
+        error_class: modelResponse.error_class,
+        params, // The effective generation params the model was called with
+        usage: modelResponse.usage,
+    };
+
+    let result;
+    if (modelResponse.status === "error") {
+        // The provider call failed - record the error and don't ask the judge to grade it
+        result = {
+            ...baseResult,
+            error: modelResponse.error,
+            evaluation: {
+                is_correct: null,
+                reasoning: null,
+                evaluation_type: "skipped_error",
+                evaluated_at: null,
+                evaluated_by: null
+            },
+            timings: {
+                responseTime: responseTime,
+                evaluationTime: 0,
+                totalTime: responseTime
+            }
+        };
+        console.log(`[Eval] ${modelName} failed (${modelResponse.error_class}) after ${modelResponse.attempts} attempt(s) - skipping evaluation`);
+    } else if (mode === "pairwise") {
+        // Pairwise sets grade the question's responses against each other once they are all in
+        result = {
+            ...baseResult,
+            evaluation: {
+                is_correct: null,
+                reasoning: null,
+                evaluation_type: "pairwise",
+                evaluated_at: null,
+                evaluated_by: null
+            },
+            timings: {
+                responseTime: responseTime,
+                evaluationTime: 0,
+                totalTime: responseTime
+            }
+        };
+        console.log(`[Eval] ${modelName} response processed (pairwise comparison pending) in ${responseTime}ms`);
+    } else if (evaluateAutomatically !== false && scorer) {
+        // The question is graded by a programmatic scorer, so the judge isn't called
+        const { evaluation, evalTime } = await scoreResponse(scorer, responseContent, referenceAnswer);
+
+        result = {
+            ...baseResult,
+            evaluation: {
+                ...evaluation,
+                evaluated_at: new Date().toISOString()
+            },
+            timings: {
+                responseTime: responseTime,
+                evaluationTime: evalTime,
+                totalTime: responseTime + evalTime,
+            }
+        };
+        console.log(`[Eval] ${modelName} response processed and scored (${evaluation.scorer.type}) in ${responseTime + evalTime}ms`);
+    } else if (evaluateAutomatically !== false) {
+        // Only evaluate automatically if the flag is true (default)
+        // The judge sees the whole conversation the response continues
+        const { evaluation, judgeUsage, evalTime } = await judgeResponse(pool, formatTranscript(question, messages), referenceAnswer, responseContent, judge);
         
-        // For non-UUID IDs, we should save to Supabase as a new record
-        if (!isUuidFormat) {
-            console.log(`[ManualEval] ID ${evaluationId} is not a UUID format - will create new record in Supabase`);
-            try {
-                // Create a new evaluation in Supabase
-                console.log(`[ManualEval] Saving evaluation to Supabase as a new record...`);
-                const supabaseId = await exports.saveEvaluationSetToSupabase(evaluationSet);
-                console.log(`[ManualEval] Saved to Supabase with ID: ${supabaseId}`);
-                
-                // Update the in-memory store with the new Supabase ID
-                evaluationSet.supabaseId = supabaseId;
-                evaluationsStore.items.set(evaluationId, evaluationSet);
-                
-                // Continue with normal flow - no need to update Supabase again
-                return res.json({
-                    success: true,
-                    evaluation: modelResult.evaluation,
-                    supabaseId
-                });
-            } catch (error) {
-                console.error(`[ManualEval] Error saving to Supabase: ${error.message}`);
-                // Continue with response even if Supabase save fails
+        result = {
+            ...baseResult,
+            judge_usage: judgeUsage, // Kept apart from the evaluation so manual overrides don't drop judge spend
+            evaluation: {
+                ...evaluation,
+                evaluated_at: new Date().toISOString()
+            },
+            timings: {
+                responseTime: responseTime,
+                evaluationTime: evalTime,
+                totalTime: responseTime + evalTime,
             }
+        };
+        console.log(`[Eval] ${modelName} response processed and evaluated in ${responseTime + evalTime}ms`);
+    } else {
+        // Skip evaluation, store null evaluation for manual assessment later
+        result = {
+            ...baseResult,
+            evaluation: {
+                is_correct: null,
+                reasoning: null,
+                evaluation_type: "pending_manual",
+                evaluated_at: null,
+                evaluated_by: null
+            },
+            timings: {
+                responseTime: responseTime,
+                evaluationTime: 0,
+                totalTime: responseTime
+            }
+        };
+        console.log(`[Eval] ${modelName} response processed (pending manual evaluation) in ${responseTime}ms`);
+    }
+
+    return result;
+};
+
+// Run an evaluate-set request in the background, recording progress on the job
+// Evaluation jobs on the same set run one at a time, so each appends its questions after the
+// previous job's. A waiting job stays queued until its turn.
+const setJobQueues = new Map();
+
+const queueSetJob = (setId, task) => {
+    const previous = setJobQueues.get(setId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    setJobQueues.set(setId, settled);
+    settled.then(() => {
+        if (setJobQueues.get(setId) === settled) {
+            setJobQueues.delete(setId);
         }
-        
-        // If it's from Supabase, update there directly
-        if (storedInSupabase) {
-            try {
-                console.log(`[ManualEval] Saving changes directly to Supabase...`);
-                
-                // Prepare a clean evaluation object for Supabase
-                const preparedEvaluation = prepareEvaluationForSupabase(evaluationSet);
-                console.log(`[ManualEval] Updating Supabase record with ID: ${evaluationId}`);
-                
-                // Update the evaluation in Supabase - only update the questions array
-                const { error: updateError } = await supabase
-                    .from("evaluations")
-                    .update({ 
-                        questions: preparedEvaluation.questions,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq("id", evaluationId);
-                    
-                if (updateError) {
-                    console.error(`[ManualEval] Error updating Supabase: ${updateError.message}`);
-                    throw updateError;
-                }
-                
-                console.log(`[ManualEval] Successfully updated evaluation in Supabase`);
-            } catch (dbError) {
-                console.error(`[ManualEval] Error updating Supabase: ${dbError.message}`);
-                // Continue even if Supabase update fails
+    });
+    return run;
+};
+
+const runEvaluationJob = async (jobId, setId, options) => {
+    const { questions, modelNamesToEvaluate, systemMessage, generationParams, modelParams, evaluateAutomatically, mode, concurrency, user } = options;
+    const judge = options.judge || DEFAULT_JUDGE;
+
+    jobsStore.start(jobId);
+    const pool = createPool(concurrency || {});
+    console.log(`[Job ${jobId}] Running ${questions.length} questions x ${modelNamesToEvaluate.length} models (concurrency ${pool.limits.global}, ${pool.limits.perProvider} per provider)`);
+
+    // Results are reported against the question's position in the whole set; queueSetJob keeps
+    // other jobs from appending to the set while this one runs
+    const firstQuestionIndex = evaluationsStore.get(setId).questions.length;
+
+    const modelsSelectionForStorage = {};
+    modelNamesToEvaluate.forEach(m => modelsSelectionForStorage[m] = true);
+
+    // A question's own system message (e.g. from an imported file) wins over the request's
+    const questionSystemMessage = (item) => item.systemMessage || systemMessage;
+
+    // Results are slotted by model position so ordering doesn't depend on which call finishes first
+    const questionResults = questions.map(() => new Array(modelNamesToEvaluate.length));
+    const pendingPairs = questions.map(() => modelNamesToEvaluate.length);
+    const questionComparisons = questions.map(() => null);
+    let nextQuestionToStore = 0;
+
+    // Append finished questions to the set in their original order
+    const storeFinishedQuestions = () => {
+        while (nextQuestionToStore < questions.length && pendingPairs[nextQuestionToStore] === 0) {
+            const { question, referenceAnswer, scorer, tags, messages } = questions[nextQuestionToStore];
+            evaluationsStore.addQuestion(setId, {
+                question,
+                referenceAnswer,
+                ...(messages && messages.length > 0 ? { messages } : {}), // Earlier turns of a multi-turn question
+                ...(scorer ? { scorer: toScorerConfig(scorer) } : {}),
+                ...(tags ? { tags } : {}),
+                results: questionResults[nextQuestionToStore], // Use the array structure here
+                ...(questionComparisons[nextQuestionToStore] ? { comparisons: questionComparisons[nextQuestionToStore] } : {}),
+                models: modelsSelectionForStorage, 
+                systemMessage: questionSystemMessage(questions[nextQuestionToStore]),
+            });
+            nextQuestionToStore += 1;
+        }
+    };
+
+    const evaluatePair = async (index, modelIndex) => {
+        const modelName = modelNamesToEvaluate[modelIndex];
+        const result = await runPair(jobId, pool, { ...questions[index], systemMessage: questionSystemMessage(questions[index]) }, modelName, {
+            questionIndex: firstQuestionIndex + index,
+            params: resolveGenerationParams(generationParams, modelParams, modelName),
+            judge,
+            evaluateAutomatically,
+            mode,
+        });
+
+        questionResults[index][modelIndex] = result;
+        // The question's last response starts its pairwise comparisons; it is stored once they finish
+        if (mode === "pairwise" && pendingPairs[index] === 1) {
+            const item = { ...questions[index], systemMessage: questionSystemMessage(questions[index]) };
+            questionComparisons[index] = await compareQuestionResponses(jobId, pool, item, questionResults[index], judge, firstQuestionIndex + index);
+        }
+        pendingPairs[index] -= 1;
+        storeFinishedQuestions();
+
+        jobsStore.addResult(jobId, {
+            questionIndex: firstQuestionIndex + index,
+            model: modelName,
+            result,
+        });
+    };
+
+    const pairs = [];
+    questions.forEach((_, index) => {
+        modelNamesToEvaluate.forEach((_, modelIndex) => pairs.push(evaluatePair(index, modelIndex)));
+    });
+    await Promise.all(pairs);
+    
+    // Get the updated set from in-memory store
+    const updatedSet = evaluationsStore.get(setId);
+    updatedSet.results = {
+        ...(updatedSet.results || {}),
+        summary: summarizeSet(updatedSet),
+        usage: summarizeUsage(updatedSet),
+        // The judge configuration this run graded with
+        ...(evaluateAutomatically !== false ? { judge } : {}),
+        ...(mode === "pairwise" ? { pairwise: summarizePairwise(updatedSet) } : {}),
+    };
+    console.log(`[Eval] Completed evaluation: ${updatedSet.name} (ID: ${updatedSet.id})`);
+
+    try {
+        // Save to Supabase for persistence
+        console.log(`Saving evaluation to Supabase...`);
+
+        // Make sure to include the user ID from the request if not already present
+        if (user && user.id) {
+            if (!updatedSet.user_id) {
+                updatedSet.user_id = user.id;
+                console.log(`User ID from request added to set: ${user.id}`);
+            } else if (updatedSet.user_id !== user.id) {
+                console.log(`WARNING: User ID mismatch in evaluation set!`);
+                console.log(`Set has user_id ${updatedSet.user_id} but request has user_id ${user.id}`);
+                // We'll keep the original user_id to maintain data integrity
             }
         } else {
-            // Otherwise, save to Supabase as a new record if no supabaseId exists
-            try {
-                if (!evaluationSet.supabaseId) {
-                    console.log(`[ManualEval] Saving evaluation to Supabase as a new record...`);
-                    const supabaseId = await exports.saveEvaluationSetToSupabase(evaluationSet);
-                    console.log(`[ManualEval] Saved to Supabase with ID: ${supabaseId}`);
-                    
-                    // Update the in-memory store with the new Supabase ID
-                    evaluationSet.supabaseId = supabaseId;
-                    evaluationsStore.items.set(evaluationId, evaluationSet);
-                } else {
-                    // We have a supabaseId, try to update that record
-                    console.log(`[ManualEval] Updating existing Supabase record with ID: ${evaluationSet.supabaseId}`);
-                    
-                    // Prepare a clean evaluation object for Supabase
-                    const preparedEvaluation = prepareEvaluationForSupabase(evaluationSet);
-                    console.log(`[ManualEval] Updating Supabase record with ID: ${evaluationSet.supabaseId}`);
-                    
-                    const { error: updateError } = await supabase
-                        .from("evaluations")
-                        .update({ 
-                            questions: preparedEvaluation.questions,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq("id", evaluationSet.supabaseId);
-                        
-                    if (updateError) {
-                        console.error(`[ManualEval] Error updating Supabase: ${updateError.message}`);
-                        throw updateError;
-                    }
-                    
-                    console.log(`[ManualEval] Successfully updated existing Supabase record`);
-                }
-            } catch (dbError) {
-                console.error(`[ManualEval] Error saving to Supabase: ${dbError.message}`);
-                // Continue even if Supabase update fails
-            }
+            console.log(`No user ID available from request`);
         }
-        
-        return res.json({
-            success: true,
-            evaluation: modelResult.evaluation
+
+        const supabaseId = await exports.saveEvaluationSetToSupabase(updatedSet);
+        console.log(`Saved to Supabase with ID: ${supabaseId}`);
+
+        // Update the ID if it came from Supabase
+        updatedSet.supabaseId = supabaseId;
+    } catch (supabaseError) {
+        console.error('Error saving to Supabase:', supabaseError.message);
+        // Continue with the job even if Supabase save fails
+    }
+
+    jobsStore.complete(jobId, { setId, supabaseId: updatedSet.supabaseId });
+    console.log(`[Job ${jobId}] Completed`);
+};
+
+// Rerun question×model pairs of an existing set in the background as a new run
+// `pairs` lists the { questionIndex, modelName, params } cells to run again
+const runRerunJob = async (jobId, evaluationSet, storedInSupabase, options) => {
+    const { pairs, judge, evaluateAutomatically, filters, concurrency } = options;
+
+    jobsStore.start(jobId);
+    const pool = createPool(concurrency || {});
+    const { run } = startRun(evaluationSet, { ...filters, job_id: jobId });
+    console.log(`[Job ${jobId}] Rerunning ${pairs.length} pairs in set ${evaluationSet.id} (run ${run})`);
+
+    await Promise.all(pairs.map(async ({ questionIndex, modelName, params }) => {
+        const question = evaluationSet.questions[questionIndex];
+        const result = await runPair(jobId, pool, question, modelName, {
+            questionIndex,
+            params,
+            judge,
+            evaluateAutomatically,
         });
-    } catch (error) {
-        console.error('Error in manuallyEvaluateResponse endpoint:', error.message);
-        return res.status(500).json({ error: error.message });
+        const stored = recordRun(question, modelName, result, run);
+
+        jobsStore.addResult(jobId, {
+            questionIndex,
+            model: modelName,
+            result: stored,
+        });
+    }));
+
+    evaluationSet.results = {
+        ...evaluationSet.results,
+        summary: summarizeSet(evaluationSet),
+        usage: summarizeUsage(evaluationSet),
+        ...(evaluateAutomatically !== false ? { judge } : {}),
+    };
+    const supabaseId = await persistEvaluationSet(evaluationSet, storedInSupabase, "Rerun");
+
+    jobsStore.complete(jobId, {
+        setId: evaluationSet.id,
+        supabaseId: storedInSupabase ? evaluationSet.id : supabaseId || evaluationSet.supabaseId,
+    });
+    console.log(`[Job ${jobId}] Completed run ${run}`);
+};
+
+// Re-grade stored responses of a set in the background as a new judging pass
+// `pairs` lists the { questionIndex, resultIndex } entries to re-grade
+const runRejudgeJob = async (jobId, evaluationSet, storedInSupabase, options) => {
+    const { pairs, judge, scorer, filters, concurrency } = options;
+
+    jobsStore.start(jobId);
+    const pool = createPool(concurrency || {});
+    const { pass } = startJudgingPass(evaluationSet, {
+        judge: scorer ? null : judge,
+        scorer: scorer ? toScorerConfig(scorer) : null,
+        filters,
+        job_id: jobId,
+    });
+    console.log(`[Job ${jobId}] Re-judging ${pairs.length} responses in set ${evaluationSet.id} (pass ${pass})`);
+
+    await Promise.all(pairs.map(async ({ questionIndex, resultIndex }) => {
+        const question = evaluationSet.questions[questionIndex];
+        const result = question.results[resultIndex];
+        // A request-wide scorer wins over the question's own; questions without either go to the judge
+        const pairScorer = scorer || question.scorer;
+
+        const { evaluation, judgeUsage = null } = pairScorer
+            ? await scoreResponse(pairScorer, result.response, question.referenceAnswer)
+            : await judgeResponse(pool, formatTranscript(question.question, question.messages), question.referenceAnswer, result.response, judge);
+
+        recordJudgingPass(result, pass, {
+            ...evaluation,
+            judging_pass: pass,
+            evaluated_at: new Date().toISOString()
+        }, judgeUsage);
+
+        jobsStore.addResult(jobId, {
+            questionIndex,
+            model: result.model_key || result.model,
+            result,
+        });
+    }));
+
+    evaluationSet.results = {
+        ...evaluationSet.results,
+        summary: summarizeSet(evaluationSet),
+        usage: summarizeUsage(evaluationSet),
+        ...(scorer ? {} : { judge }),
+    };
+    const supabaseId = await persistEvaluationSet(evaluationSet, storedInSupabase, "Rejudge");
+
+    jobsStore.complete(jobId, {
+        setId: evaluationSet.id,
+        supabaseId: storedInSupabase ? evaluationSet.id : supabaseId || evaluationSet.supabaseId,
+    });
+    console.log(`[Job ${jobId}] Completed pass ${pass}`);
+};
+
+// Stream the events of a job to the client as Server-Sent Events
+const streamJobEvents = (req, res, jobId) => {
+    const job = jobsStore.get(jobId);
+
+    res.status(200);
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no", // Stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Replay what has already happened so late subscribers see the whole grid
+    send("job", { jobId: job.id, status: job.status, setId: job.setId, progress: job.progress });
+    job.results.forEach((pairResult, i) => {
+        send("result", { ...pairResult, progress: { done: i + 1, total: job.progress.total } });
+    });
+
+    if (job.status === "completed") {
+        send("complete", { jobId: job.id, setId: job.setId, supabaseId: job.supabaseId });
+        return res.end();
+    }
+    if (job.status === "failed") {
+        send("failed", { jobId: job.id, error: job.error });
+        return res.end();
     }
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+    const unsubscribe = jobsStore.subscribe(jobId, (event, data) => {
+        send(event, data);
+        if (event === "complete" || event === "failed") {
+            cleanup();
+            res.end();
+        }
+    });
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    res.on("close", cleanup);
 };
 
 // MVP endpoints
@@ -813,7 +1232,7 @@ module.exports = {
     // Evaluate a single response
     evaluateResponse: async (req, res) => {
         try {
-            const { question, referenceAnswer, modelResponses } = req.body;
+            const { question, referenceAnswer, modelResponses, messages } = req.body;
             
             // Check required fields
             if (!question || !referenceAnswer || !modelResponses) {
@@ -821,6 +1240,11 @@ module.exports = {
                     error: "Missing required fields (question, referenceAnswer, modelResponses)",
                 });
             }
+
+            const messageErrors = messages === undefined ? [] : validateMessages(messages);
+            if (messageErrors.length > 0) {
+                return res.status(400).json({ error: messageErrors.join("; ") });
+            }
             
             // Process responses for each model
             const results = {};
@@ -828,7 +1252,7 @@ module.exports = {
             for (const [modelName, response] of Object.entries(modelResponses)) {
                 // Use the evaluator to get correctness rating
                 const evaluationResult = await evaluateResponse(
-                    question,
+                    formatTranscript(question, messages),
                     referenceAnswer,
                     response,
                 );
@@ -849,19 +1273,34 @@ module.exports = {
     // Get response from a specific model
     getModelResponse: async (req, res) => {
         try {
-            const { question, model, systemMessage } = req.body;
+            const { question, model, systemMessage, generationParams, messages } = req.body;
             
             if (!question || !model) {
                 return res.status(400).json({
                     error: "Missing required fields (question, model)",
                 });
             }
+
+            const messageErrors = messages === undefined ? [] : validateMessages(messages);
+            if (messageErrors.length > 0) {
+                return res.status(400).json({ error: messageErrors.join("; ") });
+            }
+
+            const paramErrors = validateGenerationParams(generationParams);
+            if (paramErrors.length > 0) {
+                return res.status(400).json({ error: paramErrors.join("; ") });
+            }
+            const params = resolveGenerationParams(generationParams, null, model);
             
-            const response = await getModelResponse(model, question, systemMessage);
+            const { content: response, attempts, error_class, usage } = await getModelResponse(model, question, systemMessage, params, messages);
             
             return res.json({ 
                 model, 
                 response, 
+                attempts,
+                error_class,
+                params,
+                usage,
                 timestamp: new Date().toISOString() 
             });
         } catch (error) {
@@ -903,6 +1342,10 @@ module.exports = {
                 return res.status(401).json({ error: "Authentication required" });
             }
 
+            if (!supabase) {
+                return res.status(503).json({ error: "Saved evaluations are unavailable: Supabase is not configured" });
+            }
+
             console.log(`Getting evaluations for user: ${req.user.id}`);
 
             // Get pagination parameters from query
@@ -1056,7 +1499,8 @@ module.exports = {
                 });
             }
             
-            return res.json(set);
+            // Earlier attempts of rerun results are only sent when asked for
+            return res.json(req.query.history === 'true' ? set : withoutRunHistory(set));
         } catch (error) {
             console.error('Error in getEvaluationSet endpoint:', error.message);
             return res.status(500).json({ error: error.message });
@@ -1065,11 +1509,453 @@ module.exports = {
     
     // Fetch a specific evaluation set from Supabase for sharing
     getSharedEvaluationSet: getEvaluationSetByIdFromSupabase,
+
+    // Re-grade a set's stored responses with a new judge or scorer, without calling the models again
+    rejudgeSet: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { judge, rubric, scorer, questions: questionFilter, models: modelFilter, pendingOnly, concurrency } = req.body || {};
+
+            const loaded = await loadEvaluationSet(id);
+            if (!loaded) {
+                return res.status(404).json({ error: "Evaluation set not found" });
+            }
+            const { evaluationSet, storedInSupabase } = loaded;
+
+            if (req.user && evaluationSet.user_id && req.user.id !== evaluationSet.user_id) {
+                return res.status(403).json({ error: "You are not authorized to re-judge this set" });
+            }
+            if (evaluationSet.results && evaluationSet.results.judge && evaluationSet.results.judge.mode === "pairwise") {
+                return res.status(400).json({ error: "Pairwise sets can't be re-judged" });
+            }
+
+            const questionCount = (evaluationSet.questions || []).length;
+            if (questionFilter !== undefined && (!Array.isArray(questionFilter)
+                || !questionFilter.every((index) => Number.isInteger(index) && index >= 0 && index < questionCount))) {
+                return res.status(400).json({ error: `questions must be an array of question indexes between 0 and ${questionCount - 1}` });
+            }
+            if (modelFilter !== undefined && (!Array.isArray(modelFilter) || !modelFilter.every((name) => typeof name === "string"))) {
+                return res.status(400).json({ error: "models must be an array of model names" });
+            }
+
+            // Responses to re-grade: failed model calls have none
+            const pairs = [];
+            evaluationSet.questions.forEach((question, questionIndex) => {
+                if (questionFilter && !questionFilter.includes(questionIndex)) return;
+                (question.results || []).forEach((result, resultIndex) => {
+                    if (!result || result.status === "error" || typeof result.response !== "string") return;
+                    if (modelFilter && !modelFilter.includes(result.model_key) && !modelFilter.includes(result.model)) return;
+                    if (pendingOnly && !["pending", "judge_error"].includes(getOutcome(result))) return;
+                    pairs.push({ questionIndex, resultIndex });
+                });
+            });
+            if (pairs.length === 0) {
+                return res.status(400).json({ error: "No stored responses match the filters" });
+            }
+
+            if (scorer !== undefined) {
+                const scorerErrors = [];
+                new Set(pairs.map((pair) => pair.questionIndex)).forEach((questionIndex) => {
+                    scorerErrors.push(...validateScorer(scorer, `scorer (question ${questionIndex})`, evaluationSet.questions[questionIndex].referenceAnswer));
+                });
+                if (scorerErrors.length > 0) {
+                    return res.status(400).json({ error: scorerErrors.join("; ") });
+                }
+            }
+
+            // Without new judge settings, grade with the judge the set was last graded with
+            const storedJudge = evaluationSet.results && evaluationSet.results.judge;
+            const { config: judgeConfig, errors: judgeErrors } = judge === undefined && rubric === undefined && storedJudge
+                ? { config: storedJudge, errors: [] }
+                : resolveJudgeConfig(judge, rubric);
+            if (judgeErrors.length > 0) {
+                return res.status(400).json({ error: judgeErrors.join("; ") });
+            }
+
+            // Jobs and later reads find the set in the in-memory store
+            evaluationsStore.items.set(id, evaluationSet);
+
+            const job = jobsStore.create({
+                type: "rejudge",
+                setId: id,
+                user_id: req.user && req.user.id ? req.user.id : null,
+                total: pairs.length,
+            });
+            console.log(`[Rejudge] Queued job ${job.id} for set ${id} (${pairs.length} responses)`);
+
+            runRejudgeJob(job.id, evaluationSet, storedInSupabase, {
+                pairs,
+                judge: judgeConfig,
+                scorer,
+                filters: {
+                    questions: questionFilter || null,
+                    models: modelFilter || null,
+                    pendingOnly: Boolean(pendingOnly),
+                },
+                concurrency,
+            }).catch((error) => {
+                console.error(`[Job ${job.id}] Re-judge failed:`, error.message);
+                jobsStore.fail(job.id, error);
+            });
+
+            if ((req.get("Accept") || "").includes("text/event-stream")) {
+                return streamJobEvents(req, res, job.id);
+            }
+
+            return res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                setId: id,
+                progress: job.progress,
+            });
+        } catch (error) {
+            console.error('Error in rejudgeSet endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Call the models again on chosen questions of a set, keeping each cell's earlier attempts
+    rerunSet: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const {
+                questions: questionFilter,
+                models: modelFilter,
+                failedOnly,
+                generationParams,
+                modelParams,
+                judge,
+                rubric,
+                evaluateAutomatically,
+                concurrency,
+            } = req.body || {};
+
+            const loaded = await loadEvaluationSet(id);
+            if (!loaded) {
+                return res.status(404).json({ error: "Evaluation set not found" });
+            }
+            const { evaluationSet, storedInSupabase } = loaded;
+
+            if (req.user && evaluationSet.user_id && req.user.id !== evaluationSet.user_id) {
+                return res.status(403).json({ error: "You are not authorized to rerun this set" });
+            }
+            if (evaluationSet.results && evaluationSet.results.judge && evaluationSet.results.judge.mode === "pairwise") {
+                return res.status(400).json({ error: "Pairwise sets can't be rerun" });
+            }
+
+            const questionCount = (evaluationSet.questions || []).length;
+            if (questionFilter !== undefined && (!Array.isArray(questionFilter)
+                || !questionFilter.every((index) => Number.isInteger(index) && index >= 0 && index < questionCount))) {
+                return res.status(400).json({ error: `questions must be an array of question indexes between 0 and ${questionCount - 1}` });
+            }
+            if (modelFilter !== undefined && (!Array.isArray(modelFilter) || modelFilter.length === 0
+                || !modelFilter.every((name) => typeof name === "string"))) {
+                return res.status(400).json({ error: "models must be a non-empty array of model names" });
+            }
+
+            // Without a models list, rerun the models the set already has
+            const modelNames = modelFilter || [...new Set(evaluationSet.questions.flatMap((question) =>
+                (question.results || []).filter(Boolean).map((result) => result.model_key || result.model)))];
+            const { errors: modelErrors, warnings } = checkModelsAvailable(modelNames);
+            if (modelErrors.length > 0) {
+                return res.status(400).json({ error: modelErrors.join("; ") });
+            }
+            warnings.forEach((warning) => console.warn(`[Rerun] ${warning}`));
+
+            const paramErrors = validateRunParams(generationParams, modelParams, modelNames);
+            if (paramErrors.length > 0) {
+                return res.status(400).json({ error: paramErrors.join("; ") });
+            }
+
+            // Without new settings, grade with the judge the set was last graded with
+            const storedJudge = evaluationSet.results && evaluationSet.results.judge;
+            const { config: judgeConfig, errors: judgeErrors } = judge === undefined && rubric === undefined
+                ? { config: storedJudge || DEFAULT_JUDGE, errors: [] }
+                : resolveJudgeConfig(judge, rubric);
+            if (judgeErrors.length > 0) {
+                return res.status(400).json({ error: judgeErrors.join("; ") });
+            }
+
+            // Cells keep the params they were run with unless the request sets new ones
+            const newParams = generationParams !== undefined || modelParams !== undefined;
+            const pairs = [];
+            evaluationSet.questions.forEach((question, questionIndex) => {
+                if (questionFilter && !questionFilter.includes(questionIndex)) return;
+                modelNames.forEach((modelName) => {
+                    const resultIndex = findResultIndex(question, modelName);
+                    const previous = resultIndex === -1 ? null : question.results[resultIndex];
+                    if (failedOnly && !(previous && previous.status === "error")) return;
+                    pairs.push({
+                        questionIndex,
+                        modelName,
+                        params: newParams || !previous
+                            ? resolveGenerationParams(generationParams, modelParams, modelName)
+                            : previous.params || {},
+                    });
+                });
+            });
+            if (pairs.length === 0) {
+                return res.status(400).json({ error: "No question and model pairs match the filters" });
+            }
+
+            // Jobs and later reads find the set in the in-memory store
+            evaluationsStore.items.set(id, evaluationSet);
+
+            const job = jobsStore.create({
+                type: "rerun",
+                setId: id,
+                user_id: req.user && req.user.id ? req.user.id : null,
+                total: pairs.length,
+            });
+            console.log(`[Rerun] Queued job ${job.id} for set ${id} (${pairs.length} pairs)`);
+
+            runRerunJob(job.id, evaluationSet, storedInSupabase, {
+                pairs,
+                judge: judgeConfig,
+                evaluateAutomatically: evaluateAutomatically === undefined
+                    ? evaluationSet.evaluate_automatically
+                    : evaluateAutomatically,
+                filters: {
+                    questions: questionFilter || null,
+                    models: modelNames,
+                    failedOnly: Boolean(failedOnly),
+                },
+                concurrency,
+            }).catch((error) => {
+                console.error(`[Job ${job.id}] Rerun failed:`, error.message);
+                jobsStore.fail(job.id, error);
+            });
+
+            if ((req.get("Accept") || "").includes("text/event-stream")) {
+                return streamJobEvents(req, res, job.id);
+            }
+
+            return res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                setId: id,
+                progress: job.progress,
+                warnings,
+            });
+        } catch (error) {
+            console.error('Error in rerunSet endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Judge-versus-human agreement for a set: confusion matrices, raw agreement and Cohen's kappa
+    getSetAgreement: async (req, res) => {
+        try {
+            const loaded = await loadEvaluationSet(req.params.id);
+            if (!loaded) {
+                return res.status(404).json({ error: "Evaluation set not found" });
+            }
+            if (!canAccessSet(loaded.evaluationSet, req.user)) {
+                return res.status(403).json({ error: "You are not authorized to view this set" });
+            }
+
+            return res.json({
+                setId: req.params.id,
+                ...summarizeAgreement(loaded.evaluationSet),
+            });
+        } catch (error) {
+            console.error('Error in getSetAgreement endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Rank models across sets by Bradley-Terry rating
+    getLeaderboard: async (req, res) => {
+        try {
+            const { tag, scope = "all" } = req.query;
+            const parseDate = (value) => (value === undefined ? null : new Date(value));
+            const from = parseDate(req.query.from);
+            let to = parseDate(req.query.to);
+            // A date without a time covers the whole day
+            if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+                to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+            }
+
+            if (!LEADERBOARD_SCOPES.includes(scope)) {
+                return res.status(400).json({ error: `scope must be one of: ${LEADERBOARD_SCOPES.join(", ")}` });
+            }
+            if (scope === "mine" && !req.user) {
+                return res.status(401).json({ error: "Authentication required" });
+            }
+            if ((from && isNaN(from)) || (to && isNaN(to))) {
+                return res.status(400).json({ error: "from and to must be dates, e.g. 2025-01-31" });
+            }
+            if (tag !== undefined && (typeof tag !== "string" || tag.length === 0)) {
+                return res.status(400).json({ error: "tag must be a single tag" });
+            }
+
+            const sets = await loadLeaderboardSets(req.user, { scope, from, to });
+            return res.json({
+                filters: { tag: tag || null, scope, from: from ? from.toISOString() : null, to: to ? to.toISOString() : null },
+                ...buildLeaderboard(sets, { tag }),
+            });
+        } catch (error) {
+            console.error('Error in getLeaderboard endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Accuracy with confidence intervals, outcome counts and latency percentiles for a set
+    getSetStats: async (req, res) => {
+        try {
+            const confidence = req.query.confidence === undefined ? DEFAULT_CONFIDENCE : Number(req.query.confidence);
+            if (!Z_SCORES[confidence]) {
+                return res.status(400).json({ error: `confidence must be one of: ${Object.keys(Z_SCORES).join(", ")}` });
+            }
+
+            const loaded = await loadEvaluationSet(req.params.id);
+            if (!loaded) {
+                return res.status(404).json({ error: "Evaluation set not found" });
+            }
+            if (!canAccessSet(loaded.evaluationSet, req.user)) {
+                return res.status(403).json({ error: "You are not authorized to view this set" });
+            }
+
+            return res.json({
+                setId: req.params.id,
+                ...summarizeStats(loaded.evaluationSet, { confidence }),
+            });
+        } catch (error) {
+            console.error('Error in getSetStats endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Paired significance test between two models of a set
+    compareSetModels: async (req, res) => {
+        try {
+            const { modelA, modelB } = req.query;
+            const confidence = req.query.confidence === undefined ? DEFAULT_CONFIDENCE : Number(req.query.confidence);
+            const samples = req.query.samples === undefined ? undefined : Number(req.query.samples);
+
+            if (!modelA || !modelB) {
+                return res.status(400).json({ error: "Missing required query parameters (modelA, modelB)" });
+            }
+            if (modelA === modelB) {
+                return res.status(400).json({ error: "modelA and modelB must be different models" });
+            }
+            if (!Z_SCORES[confidence]) {
+                return res.status(400).json({ error: `confidence must be one of: ${Object.keys(Z_SCORES).join(", ")}` });
+            }
+            if (samples !== undefined && !(Number.isInteger(samples) && samples >= 100 && samples <= MAX_BOOTSTRAP_SAMPLES)) {
+                return res.status(400).json({ error: `samples must be an integer between 100 and ${MAX_BOOTSTRAP_SAMPLES}` });
+            }
+
+            const loaded = await loadEvaluationSet(req.params.id);
+            if (!loaded) {
+                return res.status(404).json({ error: "Evaluation set not found" });
+            }
+            if (!canAccessSet(loaded.evaluationSet, req.user)) {
+                return res.status(403).json({ error: "You are not authorized to view this set" });
+            }
+
+            const comparison = compareModels(loaded.evaluationSet, modelA, modelB, { confidence, samples });
+            if (!comparison) {
+                return res.status(404).json({ error: `Both ${modelA} and ${modelB} must have results in this set` });
+            }
+
+            return res.json({ setId: req.params.id, confidence, ...comparison });
+        } catch (error) {
+            console.error('Error in compareSetModels endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Download a set as CSV or JSONL rows, or as a Markdown report
+    exportSet: async (req, res) => {
+        try {
+            const format = req.query.format || "csv";
+            if (!EXPORT_FORMATS[format]) {
+                return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+            }
+
+            const loaded = await loadEvaluationSet(req.params.id);
+            if (!loaded) {
+                return res.status(404).json({ error: "Evaluation set not found" });
+            }
+            if (!canAccessSet(loaded.evaluationSet, req.user)) {
+                return res.status(403).json({ error: "You are not authorized to view this set" });
+            }
+
+            const { evaluationSet } = loaded;
+            const fileName = (evaluationSet.name || "evaluation").replace(/[^a-z0-9_-]+/gi, "-").replace(/^-+|-+$/g, "") || "evaluation";
+            res.set("Content-Type", EXPORT_FORMATS[format].contentType);
+            res.set("Content-Disposition", `attachment; filename="${fileName}.${EXPORT_FORMATS[format].extension}"`);
+            return res.send(exportSet(evaluationSet, format));
+        } catch (error) {
+            console.error('Error in exportSet endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // List the named judge prompts a set can grade with
+    listJudgePrompts: (req, res) => {
+        res.json(JUDGE_PROMPTS);
+    },
+
+    // Get the status, progress and partial results of a background job
+    getJob: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const job = jobsStore.get(id);
+
+            if (!job) {
+                return res.status(404).json({ error: "Job not found" });
+            }
+
+            // Jobs started by a signed-in user are only visible to that user
+            if (job.user_id && (!req.user || req.user.id !== job.user_id)) {
+                return res.status(403).json({ error: "You are not authorized to view this job" });
+            }
+
+            return res.json(job);
+        } catch (error) {
+            console.error('Error in getJob endpoint:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+    },
+
+    // Stream the progress of a background job as Server-Sent Events
+    streamJob: (req, res) => {
+        const { id } = req.params;
+        const job = jobsStore.get(id);
+
+        if (!job) {
+            return res.status(404).json({ error: "Job not found" });
+        }
+
+        if (job.user_id && (!req.user || req.user.id !== job.user_id)) {
+            return res.status(403).json({ error: "You are not authorized to view this job" });
+        }
+
+        return streamJobEvents(req, res, id);
+    },
     
     // Evaluate a set of questions with multiple models
     evaluateSet: async (req, res) => {
         try {
-            const { questions, models: modelNamesToEvaluate, systemMessage, setId, name, setName, evaluateAutomatically } = req.body; 
+            const { models: modelNamesToEvaluate, systemMessage, setId, datasetId, name, setName, evaluateAutomatically, mode = "reference", concurrency, generationParams, modelParams, judge, rubric } = req.body; 
+            let { questions } = req.body;
+
+            // A saved dataset (e.g. an imported file) can stand in for the questions array
+            if (datasetId !== undefined) {
+                if (questions !== undefined) {
+                    return res.status(400).json({ error: "Send either questions or datasetId, not both" });
+                }
+                const dataset = await getDataset(datasetId);
+                if (!dataset) {
+                    return res.status(404).json({ error: "Dataset not found" });
+                }
+                if (!canAccessDataset(dataset, req.user)) {
+                    return res.status(403).json({ error: "You are not authorized to use this dataset" });
+                }
+                questions = dataset.questions;
+            }
             
             // Prioritize setName over name for logging
             const displayName = setName || name || 'Unnamed';
@@ -1083,6 +1969,64 @@ module.exports = {
             if (!modelNamesToEvaluate || !Array.isArray(modelNamesToEvaluate) || modelNamesToEvaluate.length === 0) {
                 return res.status(400).json({ error: "No models specified for evaluation" });
             }
+
+            const { errors: modelErrors, warnings } = checkModelsAvailable(modelNamesToEvaluate);
+            if (modelErrors.length > 0) {
+                return res.status(400).json({ error: modelErrors.join("; ") });
+            }
+            warnings.forEach((warning) => console.warn(`[Eval] ${warning}`));
+
+            const paramErrors = validateRunParams(generationParams, modelParams, modelNamesToEvaluate);
+            if (paramErrors.length > 0) {
+                return res.status(400).json({ error: paramErrors.join("; ") });
+            }
+
+            if (!EVALUATION_MODES.includes(mode)) {
+                return res.status(400).json({ error: `mode must be one of: ${EVALUATION_MODES.join(", ")}` });
+            }
+            if (mode === "pairwise") {
+                const pairwiseErrors = [];
+                if (modelNamesToEvaluate.length < 2) {
+                    pairwiseErrors.push("Pairwise mode needs at least two models");
+                }
+                if (evaluateAutomatically === false) {
+                    pairwiseErrors.push("Pairwise mode is graded by the judge, so evaluateAutomatically cannot be false");
+                }
+                if (questions.some((item) => item && item.scorer !== undefined)) {
+                    pairwiseErrors.push("Scorers cannot be used in pairwise mode");
+                }
+                if (pairwiseErrors.length > 0) {
+                    return res.status(400).json({ error: pairwiseErrors.join("; ") });
+                }
+            }
+
+            const scorerErrors = [];
+            questions.forEach((item, index) => {
+                if (item && item.scorer !== undefined) {
+                    scorerErrors.push(...validateScorer(item.scorer, `questions[${index}].scorer`, item.referenceAnswer));
+                }
+            });
+            if (scorerErrors.length > 0) {
+                return res.status(400).json({ error: scorerErrors.join("; ") });
+            }
+
+            const messageErrors = [];
+            questions.forEach((item, index) => {
+                if (item && item.messages !== undefined) {
+                    messageErrors.push(...validateMessages(item.messages, `questions[${index}].messages`));
+                }
+            });
+            if (messageErrors.length > 0) {
+                return res.status(400).json({ error: messageErrors.join("; ") });
+            }
+
+            // Pairwise sets have no reference answers to grade against, so they use their own judge settings
+            const { config: judgeConfig, errors: judgeErrors } = mode === "pairwise"
+                ? resolvePairwiseJudge(judge, rubric)
+                : resolveJudgeConfig(judge, rubric);
+            if (judgeErrors.length > 0) {
+                return res.status(400).json({ error: judgeErrors.join("; ") });
+            }
             
             let evaluationSet;
             if (setId) {
@@ -1107,120 +2051,42 @@ module.exports = {
                 });
             }
             
-            const modelDisplayNames = {
-                gpt4o: "GPT-4.1", 
-                gpt41: "GPT-4.1",
-                claude3: "Claude Sonnet 4",
-                gemini: "Gemini 2.5",
-            };
-
-            for (const { question, referenceAnswer } of questions) {
-                const questionResultsArray = []; // To store results for this single question
-                console.log(`[Eval] Processing question: "${question.substring(0, 30)}..."`);
-                
-                for (const modelName of modelNamesToEvaluate) { 
-                    const responseStartTime = Date.now(); // Start timing for response
-                    const responseContent = await getModelResponse(
-                        modelName, 
-                        question,
-                        systemMessage
-                    );
-                    const responseEndTime = Date.now(); // End timing for response
-                    const responseTime = responseEndTime - responseStartTime;
-                    
-                    // Only evaluate automatically if the flag is true (default)
-                    if (evaluateAutomatically !== false) {
-                        const evalStartTime = Date.now(); // Start timing for evaluation
-                        const evaluationResult = await evaluateResponse(
-                            question,
-                            referenceAnswer,
-                            responseContent
-                        );
-                        const evalEndTime = Date.now(); // End timing for evaluation
-                        const evalTime = evalEndTime - evalStartTime;
-                        
-                        questionResultsArray.push({
-                            model: getDisplayName(modelName),
-                            response: responseContent,
-                            evaluation: {
-                                ...evaluationResult,
-                                evaluation_type: "automatic",
-                                evaluated_at: new Date().toISOString()
-                            },
-                            timings: {
-                                responseTime: responseTime,
-                                evaluationTime: evalTime,
-                                totalTime: responseTime + evalTime,
-                            }
-                        });
-                        console.log(`[Eval] ${modelName} response processed and evaluated in ${responseTime + evalTime}ms`);
-                    } else {
-                        // Skip evaluation, store null evaluation for manual assessment later
-                        questionResultsArray.push({
-                            model: getDisplayName(modelName),
-                            response: responseContent,
-                            evaluation: {
-                                is_correct: null,
-                                reasoning: null,
-                                evaluation_type: "pending_manual",
-                                evaluated_at: null,
-                                evaluated_by: null
-                            },
-                            timings: {
-                                responseTime: responseTime,
-                                evaluationTime: 0,
-                                totalTime: responseTime
-                            }
-                        });
-                        console.log(`[Eval] ${modelName} response processed (pending manual evaluation) in ${responseTime}ms`);
-                    }
-                }
-                
-                const modelsSelectionForStorage = {};
-                modelNamesToEvaluate.forEach(m => modelsSelectionForStorage[m] = true);
-
-                evaluationsStore.addQuestion(evaluationSet.id, {
-                    question,
-                    referenceAnswer,
-                    results: questionResultsArray, // Use the array structure here
-                    models: modelsSelectionForStorage, 
-                    systemMessage,
-                });
-            }
-            
-            // Get the updated set from in-memory store
-            const updatedSet = evaluationsStore.get(evaluationSet.id);
-            console.log(`[Eval] Completed evaluation: ${updatedSet.name} (ID: ${updatedSet.id})`);
-
-            try {
-                // Save to Supabase for persistence
-                console.log(`Saving evaluation to Supabase...`);
-
-                // Make sure to include the user ID from the request if not already present
-                if (req.user && req.user.id) {
-                    if (!updatedSet.user_id) {
-                        updatedSet.user_id = req.user.id;
-                        console.log(`User ID from request added to set: ${req.user.id}`);
-                    } else if (updatedSet.user_id !== req.user.id) {
-                        console.log(`WARNING: User ID mismatch in evaluation set!`);
-                        console.log(`Set has user_id ${updatedSet.user_id} but request has user_id ${req.user.id}`);
-                        // We'll keep the original user_id to maintain data integrity
-                    }
-                } else {
-                    console.log(`No user ID available from request`);
-                }
+            const job = jobsStore.create({
+                setId: evaluationSet.id,
+                user_id: req.user && req.user.id ? req.user.id : null,
+                total: questions.length * modelNamesToEvaluate.length,
+            });
+            console.log(`[Eval] Queued job ${job.id} for set ${evaluationSet.id}`);
 
-                const supabaseId = await exports.saveEvaluationSetToSupabase(updatedSet);
-                console.log(`Saved to Supabase with ID: ${supabaseId}`);
+            // Run in the background - the client polls GET /api/mvp/jobs/:id for progress
+            queueSetJob(evaluationSet.id, () => runEvaluationJob(job.id, evaluationSet.id, {
+                questions,
+                modelNamesToEvaluate,
+                systemMessage,
+                generationParams,
+                modelParams,
+                judge: judgeConfig,
+                evaluateAutomatically,
+                mode,
+                concurrency,
+                user: req.user,
+            })).catch((error) => {
+                console.error(`[Job ${job.id}] Evaluation failed:`, error.message);
+                jobsStore.fail(job.id, error);
+            });
 
-                // Update the ID if it came from Supabase
-                updatedSet.supabaseId = supabaseId;
-            } catch (supabaseError) {
-                console.error('Error saving to Supabase:', supabaseError.message);
-                // Continue with the response even if Supabase save fails
+            // Clients sending Accept: text/event-stream watch the results arrive on this connection
+            if ((req.get("Accept") || "").includes("text/event-stream")) {
+                return streamJobEvents(req, res, job.id);
             }
 
-            return res.json(updatedSet);
+            return res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                setId: evaluationSet.id,
+                progress: job.progress,
+                warnings,
+            });
         } catch (error) {
             console.error('Error in evaluateSet endpoint:', error.message);
             return res.status(500).json({
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const { checkApiKeys } = require('./utils/apiKeyCheck');
+const { loadModels } = require('./lib/models');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet'); // You'll need to install this: npm install helmet
 
@@ -11,6 +12,11 @@ const port = process.env.PORT || 3001;
 // Check API keys at startup
 checkApiKeys();
 
+// Load the model registry from Supabase (built-in models are available until it finishes)
+loadModels().catch((error) => {
+  console.error('Error loading models:', error.message);
+});
+
 // Add security headers
 app.use(helmet({
   contentSecurityPolicy: {
@@ -91,6 +97,11 @@ const evaluateLimiter = rateLimit({
 app.use('/api/', apiLimiter); // General API rate limit
 app.use('/api/mvp/evaluate-set', evaluateLimiter); // Stricter limit for evaluations
 
-app.listen(port, '0.0.0.0', () => {
-  console.log(`Server listening at http://0.0.0.0:${port}`);
-}); 
\ No newline at end of file
+// Only listen when run directly, so tests can mount the app with supertest
+if (require.main === module) {
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`Server listening at http://0.0.0.0:${port}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,99 @@
+// Agreement between the automatic verdicts (judge or scorer) and human reviewers
+
+/**
+ * Computes agreement statistics for (automatic, human) verdict pairs.
+ *
+ * @param {Array<{ auto: boolean, human: boolean }>} pairs - Verdicts on the same responses.
+ * @returns {Object} { count, confusion, raw_agreement, kappa }. confusion is
+ *   { judge_correct: { human_correct, human_incorrect }, judge_incorrect: { human_correct, human_incorrect } }.
+ *   raw_agreement and kappa are null without pairs; kappa is also null when both raters gave
+ *   every response the same verdict, where chance agreement is 1 and kappa is undefined.
+ */
+function agreementStats(pairs) {
+  const confusion = {
+    judge_correct: { human_correct: 0, human_incorrect: 0 },
+    judge_incorrect: { human_correct: 0, human_incorrect: 0 },
+  };
+  pairs.forEach(({ auto, human }) => {
+    confusion[auto ? 'judge_correct' : 'judge_incorrect'][human ? 'human_correct' : 'human_incorrect'] += 1;
+  });
+
+  const count = pairs.length;
+  if (count === 0) {
+    return { count, confusion, raw_agreement: null, kappa: null };
+  }
+
+  const agreed = confusion.judge_correct.human_correct + confusion.judge_incorrect.human_incorrect;
+  const observed = agreed / count;
+  const judgeCorrect = (confusion.judge_correct.human_correct + confusion.judge_correct.human_incorrect) / count;
+  const humanCorrect = (confusion.judge_correct.human_correct + confusion.judge_incorrect.human_correct) / count;
+  // Cohen's kappa: agreement beyond what the raters' own verdict rates would produce by chance
+  const expected = judgeCorrect * humanCorrect + (1 - judgeCorrect) * (1 - humanCorrect);
+
+  return {
+    count,
+    confusion,
+    raw_agreement: observed,
+    kappa: expected === 1 ? null : (observed - expected) / (1 - expected),
+  };
+}
+
+/**
+ * Collects the responses of a set that have both an automatic verdict and at least one human one.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @returns {Object[]} [{ questionIndex, model, model_key, user, auto, human }], one per human verdict.
+ */
+function collectVerdictPairs(evaluationSet) {
+  const pairs = [];
+  (evaluationSet.questions || []).forEach((question, questionIndex) => {
+    (question.results || []).forEach((result) => {
+      if (!result || !result.auto_evaluation || typeof result.auto_evaluation.is_correct !== 'boolean') return;
+
+      (result.manual_evaluations || []).forEach((manual) => {
+        if (typeof manual.is_correct !== 'boolean') return;
+        pairs.push({
+          questionIndex,
+          model: result.model,
+          model_key: result.model_key || result.model,
+          user: manual.evaluated_by || 'unknown',
+          auto: result.auto_evaluation.is_correct,
+          human: manual.is_correct,
+        });
+      });
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Reports judge-versus-human agreement for a set, overall and broken down by model and reviewer.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @returns {Object} { overall, models: { [model_key]: stats }, users: { [user]: stats } }, where
+ *   stats is from agreementStats (model entries also carry the display name in `model`).
+ */
+function summarizeAgreement(evaluationSet) {
+  const pairs = collectVerdictPairs(evaluationSet);
+
+  const groupBy = (key) => {
+    const groups = {};
+    pairs.forEach((pair) => {
+      (groups[pair[key]] = groups[pair[key]] || []).push(pair);
+    });
+    return groups;
+  };
+
+  const models = {};
+  Object.entries(groupBy('model_key')).forEach(([modelKey, modelPairs]) => {
+    models[modelKey] = { model: modelPairs[0].model, ...agreementStats(modelPairs) };
+  });
+  const users = {};
+  Object.entries(groupBy('user')).forEach(([user, userPairs]) => {
+    users[user] = agreementStats(userPairs);
+  });
+
+  return { overall: agreementStats(pairs), models, users };
+}
+
+module.exports = { agreementStats, collectVerdictPairs, summarizeAgreement };
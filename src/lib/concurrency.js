@@ -0,0 +1,78 @@
+// Concurrency limits for outbound model and judge calls
+const DEFAULT_GLOBAL_LIMIT = parseInt(process.env.EVAL_CONCURRENCY, 10) || 8;
+const DEFAULT_PROVIDER_LIMIT = parseInt(process.env.EVAL_PROVIDER_CONCURRENCY, 10) || 4;
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at the same time.
+ * Tasks beyond the limit wait in FIFO order.
+ *
+ * @param {number} limit - Maximum number of tasks running at once.
+ * @returns {Function} run(task) - Runs the async task when a slot is free and resolves with its result.
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active -= 1;
+    if (waiting.length > 0) {
+      active += 1;
+      waiting.shift()();
+    }
+  };
+
+  const acquire = () => {
+    if (active < limit) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  return async (task) => {
+    await acquire();
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+/**
+ * Creates a pool with a global limit plus a separate limit for each provider,
+ * so one slow provider cannot take every slot.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.globalLimit] - Maximum calls in flight across all providers.
+ * @param {number} [options.perProviderLimit] - Maximum calls in flight for any single provider.
+ * @returns {{ run: Function, limits: Object }} run(provider, task) runs the task once both limits allow it.
+ */
+function createPool({ globalLimit, perProviderLimit } = {}) {
+  const limits = {
+    global: clampLimit(globalLimit, DEFAULT_GLOBAL_LIMIT),
+    perProvider: clampLimit(perProviderLimit, DEFAULT_PROVIDER_LIMIT),
+  };
+  const runGlobal = createLimiter(limits.global);
+  const providerLimiters = new Map();
+
+  const run = (provider, task) => {
+    const key = provider || 'unknown';
+    if (!providerLimiters.has(key)) {
+      providerLimiters.set(key, createLimiter(limits.perProvider));
+    }
+    // Take the provider slot first so queued calls for a busy provider don't hold global slots
+    return providerLimiters.get(key)(() => runGlobal(task));
+  };
+
+  return { run, limits };
+}
+
+// Requests may lower the configured limits but never raise them
+function clampLimit(requested, configured) {
+  const value = parseInt(requested, 10);
+  if (!value || value < 1) return configured;
+  return Math.min(value, configured);
+}
+
+module.exports = { createLimiter, createPool };
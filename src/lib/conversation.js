@@ -0,0 +1,72 @@
+// Multi-turn questions: earlier user and assistant turns that come before the question itself
+
+const MAX_TURNS = 50;
+const ROLES = ['user', 'assistant'];
+
+/**
+ * Validates a question's prior turns. They must start with a user turn, alternate between user
+ * and assistant (as Anthropic and Gemini require), and end with an assistant turn, since the
+ * question is the final user turn.
+ *
+ * @param {Object[]} messages - [{ role: 'user'|'assistant', content }].
+ * @param {string} [label] - Prefix for error messages, e.g. 'questions[2].messages'.
+ * @returns {string[]} Error messages; empty when the turns are valid.
+ */
+function validateMessages(messages, label = 'messages') {
+  if (!Array.isArray(messages)) {
+    return [`${label} must be an array of { role, content } turns`];
+  }
+  if (messages.length > MAX_TURNS) {
+    return [`${label} can have at most ${MAX_TURNS} turns`];
+  }
+
+  const errors = [];
+  messages.forEach((message, index) => {
+    if (!message || typeof message !== 'object' || !ROLES.includes(message.role)) {
+      errors.push(`${label}[${index}].role must be one of: ${ROLES.join(', ')}`);
+    } else if (message.role !== ROLES[index % 2]) {
+      errors.push(`${label}[${index}] must be a ${ROLES[index % 2]} turn: turns alternate, starting with the user`);
+    }
+    if (!message || typeof message.content !== 'string' || message.content.trim() === '') {
+      errors.push(`${label}[${index}].content must be a non-empty string`);
+    }
+  });
+  if (errors.length === 0 && messages.length > 0 && messages[messages.length - 1].role !== 'assistant') {
+    errors.push(`${label} must end with an assistant turn; the question is the final user turn`);
+  }
+  return errors;
+}
+
+/**
+ * Builds the chat messages a model is called with.
+ *
+ * @param {string} question - The final user turn.
+ * @param {string} [systemMessage] - Optional system message.
+ * @param {Object[]} [messages] - Validated prior turns.
+ * @returns {Object[]} [{ role, content }].
+ */
+function buildMessages(question, systemMessage, messages = []) {
+  return [
+    ...(systemMessage ? [{ role: 'system', content: systemMessage }] : []),
+    ...messages.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: question },
+  ];
+}
+
+/**
+ * Renders a question with its prior turns as one text for the judge. Single-turn questions are
+ * returned unchanged, so their judge prompts are the same as before.
+ *
+ * @param {string} question - The final user turn.
+ * @param {Object[]} [messages] - Prior turns.
+ * @returns {string} The question, or the labelled transcript ending with it.
+ */
+function formatTranscript(question, messages) {
+  if (!messages || messages.length === 0) return question;
+
+  const turns = [...messages, { role: 'user', content: question }]
+    .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${content}`);
+  return `${turns.join('\n\n')}\n\n(The model's response below answers the final user turn.)`;
+}
+
+module.exports = { MAX_TURNS, validateMessages, buildMessages, formatTranscript };
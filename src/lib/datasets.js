@@ -0,0 +1,64 @@
+// Saved question datasets, e.g. from CSV or JSONL imports, that evaluate-set can run by ID
+const { randomUUID } = require('crypto');
+const { supabase } = require('./supabase');
+
+// Datasets by ID; Supabase is the durable copy when configured
+const datasets = new Map();
+
+/**
+ * Saves a dataset, persisting it to the Supabase `datasets` table when configured.
+ *
+ * @param {Object} dataset
+ * @param {string} dataset.name - Display name.
+ * @param {string|null} dataset.user_id - The owner; null for public datasets.
+ * @param {Object[]} dataset.questions - Questions in the evaluate-set format.
+ * @param {Object} [dataset.source] - Where the questions came from, e.g. { format, mapping }.
+ * @returns {Promise<Object>} The saved dataset, with its id and created_at.
+ * @throws {Error} If the database write fails.
+ */
+async function saveDataset({ name, user_id: userId, questions, source }) {
+  const dataset = {
+    id: randomUUID(),
+    name,
+    user_id: userId || null,
+    questions,
+    source: source || null,
+    created_at: new Date().toISOString(),
+  };
+
+  if (supabase) {
+    const { error } = await supabase.from('datasets').insert(dataset);
+    if (error) {
+      throw new Error(`Failed to save dataset: ${error.message}`);
+    }
+  } else {
+    console.warn(`Supabase is not configured - dataset ${dataset.id} will be lost on restart`);
+  }
+
+  datasets.set(dataset.id, dataset);
+  return dataset;
+}
+
+/**
+ * Looks a dataset up in memory, then in Supabase.
+ *
+ * @param {string} id - The dataset ID.
+ * @returns {Promise<Object|null>} The dataset, or null if it doesn't exist.
+ * @throws {Error} If the database read fails.
+ */
+async function getDataset(id) {
+  if (datasets.has(id)) return datasets.get(id);
+  if (!supabase) return null;
+
+  const { data, error } = await supabase.from('datasets').select('*').eq('id', id).maybeSingle();
+  if (error) {
+    throw new Error(`Failed to load dataset ${id}: ${error.message}`);
+  }
+  if (data) datasets.set(id, data);
+  return data;
+}
+
+// Public datasets (no owner) are readable by anyone, the rest only by their owner
+const canAccessDataset = (dataset, user) => !dataset.user_id || Boolean(user && user.id === dataset.user_id);
+
+module.exports = { saveDataset, getDataset, canAccessDataset };
@@ -0,0 +1,100 @@
+// Multi-judge ensembles: several judge models, or one judge sampled several times, vote on each response
+
+const AGGREGATIONS = ['majority', 'unanimous', 'mean_score'];
+const MAX_SAMPLES = 10;
+const MAX_VOTES = 20;
+
+// Verdicts with agreement below this are flagged for human review, unless the set picks another level
+const DEFAULT_REVIEW_BELOW = 0.75;
+
+/**
+ * Validates the ensemble settings of a judge configuration.
+ *
+ * @param {Object} judge - The request's judge settings.
+ * @param {string[]} [judge.models] - Judge models that each vote (registry keys or OpenRouter slugs).
+ * @param {number} [judge.samples] - Votes per judge model (default 1).
+ * @param {string} [judge.aggregation] - 'majority' (default), 'unanimous' or 'mean_score'.
+ * @param {number} [judge.reviewBelow] - Agreement (0-1) below which a verdict needs review (default 0.75).
+ * @param {string} model - The single judge model, used when `models` isn't set.
+ * @returns {{ ensemble: Object|null, errors: string[] }} ensemble is { models, samples, aggregation,
+ *   reviewBelow }, or null when the judge settings ask for a single vote.
+ */
+function validateEnsemble(judge, model) {
+  const errors = [];
+  const models = judge.models === undefined ? [model] : judge.models;
+  const samples = judge.samples === undefined ? 1 : judge.samples;
+  const aggregation = judge.aggregation || 'majority';
+  const reviewBelow = judge.reviewBelow === undefined ? DEFAULT_REVIEW_BELOW : judge.reviewBelow;
+
+  if (!Array.isArray(models) || models.length === 0 || !models.every((name) => typeof name === 'string')) {
+    errors.push('judge.models must be a non-empty array of model names');
+  } else if (judge.model && judge.models) {
+    errors.push('judge.model and judge.models cannot both be set');
+  }
+  if (!Number.isInteger(samples) || samples < 1 || samples > MAX_SAMPLES) {
+    errors.push(`judge.samples must be an integer between 1 and ${MAX_SAMPLES}`);
+  } else if (Array.isArray(models) && models.length * samples > MAX_VOTES) {
+    errors.push(`An ensemble can have at most ${MAX_VOTES} votes per response (judge.models x judge.samples)`);
+  }
+  if (!AGGREGATIONS.includes(aggregation)) {
+    errors.push(`judge.aggregation must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+  if (typeof reviewBelow !== 'number' || reviewBelow < 0 || reviewBelow > 1) {
+    errors.push('judge.reviewBelow must be a number between 0 and 1');
+  }
+
+  if (errors.length > 0) return { ensemble: null, errors };
+  if (models.length === 1 && samples === 1 && judge.aggregation === undefined && judge.reviewBelow === undefined) {
+    return { ensemble: null, errors };
+  }
+  return { ensemble: { models, samples, aggregation, reviewBelow }, errors };
+}
+
+/**
+ * Combines judge votes into one verdict.
+ *
+ * @param {Object[]} votes - [{ judge_model, sample, is_correct, score, reasoning, judge_error }].
+ *   `score` is the rubric score (0-1) when the set uses a rubric.
+ * @param {Object} ensemble - From validateEnsemble.
+ * @param {number} [threshold] - Score at or above which mean_score counts as correct (default 0.5,
+ *   or the rubric's threshold).
+ * @returns {Object} { is_correct, score, reasoning, votes, agreement, needs_review }. agreement is
+ *   the share of valid votes that agree with the more common verdict. is_correct is null when no
+ *   vote succeeded or a majority vote is tied.
+ */
+function aggregateVotes(votes, ensemble, threshold = 0.5) {
+  const valid = votes.filter((vote) => !vote.judge_error && typeof vote.is_correct === 'boolean');
+  const correct = valid.filter((vote) => vote.is_correct).length;
+  const incorrect = valid.length - correct;
+  const agreement = valid.length > 0 ? Math.max(correct, incorrect) / valid.length : null;
+
+  const scores = valid.map((vote) => (typeof vote.score === 'number' ? vote.score : vote.is_correct ? 1 : 0));
+  const score = scores.length > 0 ? scores.reduce((sum, value) => sum + value, 0) / scores.length : null;
+
+  let isCorrect = null;
+  if (valid.length > 0) {
+    if (ensemble.aggregation === 'unanimous') {
+      isCorrect = incorrect === 0;
+    } else if (ensemble.aggregation === 'mean_score') {
+      isCorrect = score >= threshold;
+    } else if (correct !== incorrect) {
+      isCorrect = correct > incorrect;
+    }
+  }
+
+  const reasoning = valid.length === 0
+    ? 'Every judge vote failed.'
+    : `${correct} of ${valid.length} judge votes marked the response correct (${ensemble.aggregation}).`
+      + (valid.length < votes.length ? ` ${votes.length - valid.length} vote(s) failed.` : '');
+
+  return {
+    is_correct: isCorrect,
+    score,
+    reasoning,
+    votes,
+    agreement,
+    needs_review: valid.length > 0 && (agreement < ensemble.reviewBelow || isCorrect === null),
+  };
+}
+
+module.exports = { DEFAULT_REVIEW_BELOW, validateEnsemble, aggregateVotes };
@@ -0,0 +1,162 @@
+// Evaluation set exports: flat CSV and JSONL rows, and a readable Markdown report
+const { summarizeSet, getOutcome } = require('./summary');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/jsonl; charset=utf-8', extension: 'jsonl' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+};
+
+// Columns of the CSV export, in order; JSONL rows have the same keys
+const EXPORT_COLUMNS = [
+  'question_index',
+  'question',
+  'reference_answer',
+  'tags',
+  'model',
+  'model_key',
+  'status',
+  'response',
+  'outcome',
+  'is_correct',
+  'evaluation_type',
+  'reasoning',
+  'evaluated_by',
+  'judge_model',
+  'response_time_ms',
+  'evaluation_time_ms',
+  'total_time_ms',
+  'error',
+  'messages',
+];
+
+/**
+ * Flattens a set into one row per question×model, with the latest attempt of each pair.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @returns {Object[]} Rows with the EXPORT_COLUMNS keys.
+ */
+function toExportRows(evaluationSet) {
+  const rows = [];
+  (evaluationSet.questions || []).forEach((question, questionIndex) => {
+    (question.results || []).forEach((result) => {
+      if (!result) return;
+      const evaluation = result.evaluation || {};
+      const timings = result.timings || {};
+
+      rows.push({
+        question_index: questionIndex,
+        question: question.question,
+        reference_answer: question.referenceAnswer,
+        tags: question.tags || [],
+        model: result.model,
+        model_key: result.model_key || result.model,
+        status: result.status || 'ok',
+        response: result.response,
+        outcome: getOutcome(result),
+        is_correct: typeof evaluation.is_correct === 'boolean' ? evaluation.is_correct : null,
+        evaluation_type: evaluation.evaluation_type || null,
+        reasoning: evaluation.reasoning || null,
+        evaluated_by: evaluation.evaluated_by || null,
+        judge_model: evaluation.judge_model || null,
+        response_time_ms: timings.responseTime ?? null,
+        evaluation_time_ms: timings.evaluationTime ?? null,
+        total_time_ms: timings.totalTime ?? null,
+        error: result.error ? result.error.message : null,
+        messages: question.messages || null,
+      });
+    });
+  });
+  return rows;
+}
+
+// Quotes a CSV cell when needed. Lists of text are joined with ;, other arrays (a question's
+// prior turns) are written as JSON. Text starting with =, +, -, @ or a control character is prefixed
+// with ' so spreadsheets don't run it as a formula.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (Array.isArray(value)) {
+    text = value.every((item) => typeof item === 'string') ? value.join(';') : JSON.stringify(value);
+  }
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  rows.forEach((row) => {
+    lines.push(EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function toJsonl(rows) {
+  return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+// Keeps a value on one line of a Markdown table
+const mdCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const OUTCOME_LABELS = {
+  correct: '✅ correct',
+  incorrect: '❌ incorrect',
+  pending: '⏳ pending',
+  judge_error: '⚠️ judge error',
+  errored: '⚠️ error',
+};
+
+// A multi-turn question shows its earlier turns before the final one
+const questionText = (question) => (question.messages && question.messages.length > 0
+  ? [...question.messages, { role: 'user', content: question.question }]
+    .map(({ role, content }) => `**${role === 'user' ? 'User' : 'Assistant'}:** ${content}`)
+    .join('\n')
+  : question.question);
+
+function toMarkdown(evaluationSet) {
+  const { models, overall } = summarizeSet(evaluationSet);
+  const modelKeys = Object.keys(models);
+  const lines = [
+    `# ${evaluationSet.name || evaluationSet.setName || 'Evaluation set'}`,
+    '',
+    `${(evaluationSet.questions || []).length} questions, ${modelKeys.length} models. Created ${evaluationSet.created_at || evaluationSet.timestamp || 'unknown'}.`,
+    '',
+    '## Accuracy',
+    '',
+    '| Model | Correct | Incorrect | Pending | Errored | Accuracy |',
+    '| --- | ---: | ---: | ---: | ---: | ---: |',
+  ];
+  [...modelKeys.map((key) => models[key]), { ...overall, model: '**Overall**' }].forEach((counts) => {
+    lines.push(`| ${mdCell(counts.model)} | ${counts.correct} | ${counts.incorrect} | ${counts.pending + counts.judge_errors} | ${counts.errored} | ${formatPercent(counts.accuracy)} |`);
+  });
+
+  lines.push('', '## Questions', '');
+  lines.push(`| # | Question | Reference answer | ${modelKeys.map((key) => mdCell(models[key].model)).join(' | ')} |`);
+  lines.push(`| ---: | --- | --- | ${modelKeys.map(() => '---').join(' | ')} |`);
+  (evaluationSet.questions || []).forEach((question, questionIndex) => {
+    const cells = modelKeys.map((key) => {
+      const result = (question.results || []).find((entry) => entry && (entry.model_key || entry.model) === key);
+      return result ? OUTCOME_LABELS[getOutcome(result)] : '-';
+    });
+    lines.push(`| ${questionIndex + 1} | ${mdCell(questionText(question))} | ${mdCell(question.referenceAnswer)} | ${cells.join(' | ')} |`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a set in an export format.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @param {string} format - 'csv', 'jsonl' or 'md'.
+ * @returns {string} The file contents.
+ */
+function exportSet(evaluationSet, format) {
+  if (format === 'md') return toMarkdown(evaluationSet);
+  const rows = toExportRows(evaluationSet);
+  return format === 'csv' ? toCsv(rows) : toJsonl(rows);
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_COLUMNS, toExportRows, exportSet };
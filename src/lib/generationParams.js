@@ -0,0 +1,98 @@
+// Generation parameters (temperature, top_p, ...) for model calls
+
+// Supported parameters and their valid values
+const PARAM_SPECS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  max_tokens: { type: 'integer', min: 1, max: 200000 },
+  seed: { type: 'integer', min: 0, max: Number.MAX_SAFE_INTEGER },
+  stop: { type: 'stop' },
+};
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Validates a set of generation parameters.
+ *
+ * @param {Object} params - e.g. { temperature: 0, max_tokens: 512, stop: ['\n\n'] }.
+ * @param {string} [label] - Prefix for error messages, e.g. 'modelParams.gpt41'.
+ * @returns {string[]} Error messages; empty when the parameters are valid.
+ */
+function validateGenerationParams(params, label = 'generationParams') {
+  if (params === undefined || params === null) return [];
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  Object.entries(params).forEach(([name, value]) => {
+    const spec = PARAM_SPECS[name];
+    if (!spec) {
+      errors.push(`${label}.${name} is not a supported parameter (${Object.keys(PARAM_SPECS).join(', ')})`);
+      return;
+    }
+    if (value === null) return;
+
+    if (spec.type === 'stop') {
+      const sequences = Array.isArray(value) ? value : [value];
+      if (!sequences.every((sequence) => typeof sequence === 'string' && sequence.length > 0)) {
+        errors.push(`${label}.stop must be a non-empty string or an array of them`);
+      } else if (sequences.length > MAX_STOP_SEQUENCES) {
+        errors.push(`${label}.stop allows at most ${MAX_STOP_SEQUENCES} sequences`);
+      }
+      return;
+    }
+
+    const isNumber = typeof value === 'number' && Number.isFinite(value);
+    if (!isNumber || (spec.type === 'integer' && !Number.isInteger(value))) {
+      errors.push(`${label}.${name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(`${label}.${name} must be between ${spec.min} and ${spec.max}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validates the set-wide defaults and per-model overrides of an evaluate-set request.
+ *
+ * @param {Object} [defaults] - Parameters for every model.
+ * @param {Object} [modelParams] - Map of model name to parameter overrides.
+ * @param {string[]} modelNames - The models being evaluated.
+ * @returns {string[]} Error messages; empty when everything is valid.
+ */
+function validateRunParams(defaults, modelParams, modelNames) {
+  const errors = validateGenerationParams(defaults);
+  if (modelParams === undefined || modelParams === null) return errors;
+
+  if (typeof modelParams !== 'object' || Array.isArray(modelParams)) {
+    return [...errors, 'modelParams must be an object keyed by model name'];
+  }
+  Object.entries(modelParams).forEach(([modelName, params]) => {
+    if (!modelNames.includes(modelName)) {
+      errors.push(`modelParams.${modelName} is not one of the models being evaluated`);
+    }
+    errors.push(...validateGenerationParams(params, `modelParams.${modelName}`));
+  });
+  return errors;
+}
+
+/**
+ * Merges set-wide defaults with a model's overrides. A null override removes a default.
+ *
+ * @param {Object} [defaults] - Parameters for every model.
+ * @param {Object} [modelParams] - Map of model name to parameter overrides.
+ * @param {string} modelName - The model being called.
+ * @returns {Object} The effective parameters, without unset keys.
+ */
+function resolveGenerationParams(defaults, modelParams, modelName) {
+  const merged = { ...(defaults || {}), ...((modelParams && modelParams[modelName]) || {}) };
+  const effective = {};
+  Object.keys(PARAM_SPECS).forEach((name) => {
+    if (merged[name] !== undefined && merged[name] !== null) {
+      effective[name] = merged[name];
+    }
+  });
+  return effective;
+}
+
+module.exports = { validateGenerationParams, validateRunParams, resolveGenerationParams };
@@ -0,0 +1,287 @@
+// Question imports from CSV and JSONL files
+const { validateScorer } = require('./scorers');
+const { validateMessages } = require('./conversation');
+
+const IMPORT_FORMATS = ['csv', 'jsonl'];
+// The evaluate-set mode the questions are for; pairwise questions don't need a reference answer
+const IMPORT_MODES = ['reference', 'pairwise'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Content types of raw uploads, and the format each one means
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/jsonl': 'jsonl',
+  'application/x-ndjson': 'jsonl',
+  'application/x-jsonlines': 'jsonl',
+};
+
+// Question fields an import can fill, and the column (CSV) or key (JSONL) each is read from by default
+const DEFAULT_MAPPING = {
+  question: 'question',
+  referenceAnswer: 'referenceAnswer',
+  tags: 'tags',
+  systemMessage: 'systemMessage',
+  scorer: 'scorer',
+  messages: 'messages',
+};
+
+/**
+ * Splits CSV text into records (RFC 4180: quoted fields may hold commas, quotes as "" and newlines).
+ *
+ * @param {string} text - The CSV file.
+ * @returns {{ records: Array<{ line: number, fields: string[] }>, errors: Array<{ line: number, message: string }> }}
+ *   line is the 1-based line the record starts on. Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const records = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    errors.push({ line: recordLine, message: 'Unterminated quoted field' });
+  } else {
+    endRecord();
+  }
+  return { records, errors };
+}
+
+/**
+ * Checks a column mapping, filling in the default column for fields it leaves out.
+ *
+ * @param {Object} [mapping] - { question, referenceAnswer, tags, systemMessage, scorer, messages } column names.
+ * @returns {{ mapping: Object, errors: string[] }}
+ */
+function resolveMapping(mapping = {}) {
+  const errors = [];
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { mapping: DEFAULT_MAPPING, errors: ['mapping must be an object of field names to columns'] };
+  }
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!DEFAULT_MAPPING[field]) {
+      errors.push(`mapping.${field} is not a question field (expected one of: ${Object.keys(DEFAULT_MAPPING).join(', ')})`);
+    } else if (typeof column !== 'string' || column.length === 0) {
+      errors.push(`mapping.${field} must be a column name`);
+    }
+  });
+  return { mapping: { ...DEFAULT_MAPPING, ...mapping }, errors };
+}
+
+// Validates a row's mapped values and turns them into a question for evaluate-set
+function toQuestion(values, line, mode) {
+  const errors = [];
+  const { question, referenceAnswer, tags, systemMessage, scorer } = values;
+  let { messages } = values;
+
+  if (typeof question !== 'string' || question.trim() === '') {
+    errors.push('question is missing');
+  }
+  const hasReferenceAnswer = typeof referenceAnswer === 'string' && referenceAnswer.trim() !== '';
+  if (!hasReferenceAnswer && mode !== 'pairwise') {
+    errors.push('reference answer is missing');
+  } else if (referenceAnswer !== undefined && referenceAnswer !== null && typeof referenceAnswer !== 'string') {
+    errors.push('reference answer must be a string');
+  }
+
+  // CSV cells list tags separated by commas or semicolons; JSONL may also use an array
+  let tagList = [];
+  if (Array.isArray(tags)) {
+    tagList = tags;
+  } else if (typeof tags === 'string') {
+    tagList = tags.split(/[;,]/);
+  } else if (tags !== undefined && tags !== null) {
+    errors.push('tags must be a string or an array of strings');
+  }
+  if (!tagList.every((tag) => typeof tag === 'string')) {
+    errors.push('tags must be a string or an array of strings');
+  }
+  tagList = [...new Set(tagList.filter((tag) => typeof tag === 'string').map((tag) => tag.trim()).filter(Boolean))];
+
+  if (systemMessage !== undefined && systemMessage !== null && typeof systemMessage !== 'string') {
+    errors.push('system message must be a string');
+  }
+
+  // Prior turns of a multi-turn question; CSV cells hold them as a JSON array
+  if (typeof messages === 'string') {
+    try {
+      messages = messages.trim() === '' ? undefined : JSON.parse(messages);
+    } catch (error) {
+      errors.push('messages must be a JSON array of { role, content } turns');
+      messages = undefined;
+    }
+  }
+  if (messages !== undefined && messages !== null) {
+    errors.push(...validateMessages(messages));
+  }
+
+  const hasScorer = scorer !== undefined && scorer !== null && scorer !== '';
+  if (hasScorer && mode === 'pairwise') {
+    errors.push('scorers cannot be used in pairwise mode');
+  } else if (hasScorer && errors.length === 0) {
+    errors.push(...validateScorer(scorer, 'scorer', referenceAnswer));
+  }
+
+  if (errors.length > 0) {
+    return { errors: errors.map((message) => ({ line, message })) };
+  }
+  return {
+    question: {
+      question: question.trim(),
+      ...(hasReferenceAnswer ? { referenceAnswer: referenceAnswer.trim() } : {}),
+      ...(tagList.length > 0 ? { tags: tagList } : {}),
+      ...(systemMessage ? { systemMessage } : {}),
+      ...(hasScorer ? { scorer } : {}),
+      ...(Array.isArray(messages) && messages.length > 0 ? { messages } : {}),
+    },
+    errors: [],
+  };
+}
+
+// Reads the mapped fields of each row of a CSV file; the first record is the header.
+// Pairwise files may have no reference answer column.
+function readCsvRows(text, mapping, mode) {
+  const { records, errors } = parseCsv(text);
+  if (records.length === 0) return { rows: [], errors };
+
+  const [header, ...body] = records;
+  const columns = header.fields.map((name) => name.trim());
+  const requiredFields = mode === 'pairwise' ? ['question'] : ['question', 'referenceAnswer'];
+  requiredFields.forEach((field) => {
+    if (!columns.includes(mapping[field])) {
+      errors.push({ line: header.line, message: `The header has no "${mapping[field]}" column for ${field}` });
+    }
+  });
+  if (errors.length > 0) return { rows: [], errors };
+
+  const rows = body.map(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      return { line, error: `Expected ${columns.length} columns, found ${fields.length}` };
+    }
+    const values = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+      const index = columns.indexOf(column);
+      if (index !== -1 && fields[index] !== '') values[field] = fields[index];
+    });
+    return { line, values };
+  });
+  return { rows, errors };
+}
+
+// Reads the mapped fields of each line of a JSONL file
+function readJsonlRows(text, mapping) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') return;
+    const line = index + 1;
+
+    let record;
+    try {
+      record = JSON.parse(content);
+    } catch (error) {
+      rows.push({ line, error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      rows.push({ line, error: 'Each line must be a JSON object' });
+      return;
+    }
+
+    const values = {};
+    Object.entries(mapping).forEach(([field, key]) => {
+      if (record[key] !== undefined) values[field] = record[key];
+    });
+    rows.push({ line, values });
+  });
+  return { rows, errors: [] };
+}
+
+/**
+ * Parses and validates an uploaded question file.
+ *
+ * @param {string} text - The file contents.
+ * @param {Object} options
+ * @param {string} options.format - 'csv' (with a header row) or 'jsonl' (one object per line).
+ * @param {Object} [options.mapping] - Column (CSV) or key (JSONL) to read each question field from.
+ * @param {string} [options.mode] - 'reference' (default) or 'pairwise'. Pairwise questions may
+ *   leave out the reference answer and can't have scorers.
+ * @returns {{ questions: Object[], errors: Array<{ line: number, message: string }> }} questions are
+ *   { question, referenceAnswer, tags?, systemMessage?, scorer?, messages? }, ready for evaluate-set
+ *   (referenceAnswer is optional in pairwise mode). Every invalid row is reported with its line
+ *   number; questions is empty when there are errors.
+ */
+function importQuestions(text, { format, mapping, mode = 'reference' } = {}) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { questions: [], errors: [{ line: null, message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` }] };
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    return { questions: [], errors: [{ line: null, message: `mode must be one of: ${IMPORT_MODES.join(', ')}` }] };
+  }
+  const { mapping: resolvedMapping, errors: mappingErrors } = resolveMapping(mapping);
+  if (mappingErrors.length > 0) {
+    return { questions: [], errors: mappingErrors.map((message) => ({ line: null, message })) };
+  }
+
+  const { rows, errors } = format === 'csv'
+    ? readCsvRows(String(text ?? ''), resolvedMapping, mode)
+    : readJsonlRows(String(text ?? ''), resolvedMapping);
+
+  if (errors.length === 0 && rows.length === 0) {
+    errors.push({ line: null, message: 'The file has no questions' });
+  } else if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push({ line: null, message: `A file can have at most ${MAX_IMPORT_ROWS} questions, found ${rows.length}` });
+  }
+
+  const questions = [];
+  rows.forEach(({ line, values, error }) => {
+    if (error) {
+      errors.push({ line, message: error });
+      return;
+    }
+    const { question, errors: rowErrors } = toQuestion(values, line, mode);
+    errors.push(...rowErrors);
+    if (question) questions.push(question);
+  });
+
+  return errors.length > 0 ? { questions: [], errors } : { questions, errors };
+}
+
+module.exports = { IMPORT_FORMATS, IMPORT_MODES, MAX_IMPORT_ROWS, CONTENT_TYPE_FORMATS, DEFAULT_MAPPING, parseCsv, importQuestions };
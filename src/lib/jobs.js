@@ -0,0 +1,143 @@
+// In-memory store for background evaluation jobs
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs around for an hour
+
+// Job lifecycle events, keyed by job ID, for streaming consumers
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const jobsStore = {
+  // Map to store jobs by ID
+  items: new Map(),
+
+  // Generate a unique ID for a new job
+  generateId: () => {
+    return (
+      'job_' +
+      Math.random().toString(36).substring(2, 15) +
+      Math.random().toString(36).substring(2, 15)
+    );
+  },
+
+  /**
+   * Creates a queued job.
+   *
+   * @param {Object} data - Initial job fields (type, setId, user_id, total).
+   * @returns {Object} The stored job.
+   */
+  create: (data) => {
+    jobsStore.prune();
+
+    const id = jobsStore.generateId();
+    const timestamp = new Date().toISOString();
+    const job = {
+      id,
+      type: data.type || 'evaluate-set',
+      status: 'queued',
+      setId: data.setId || null,
+      supabaseId: null,
+      user_id: data.user_id || null,
+      progress: { done: 0, total: data.total || 0 },
+      results: [],
+      error: null,
+      created_at: timestamp,
+      started_at: null,
+      finished_at: null,
+    };
+    jobsStore.items.set(id, job);
+    return job;
+  },
+
+  // Get a job by ID
+  get: (id) => {
+    return jobsStore.items.get(id);
+  },
+
+  // Mark a job as running
+  start: (id) => {
+    const job = jobsStore.items.get(id);
+    if (!job) return null;
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    return job;
+  },
+
+  /**
+   * Records one finished question x model pair so it can be read while the job runs.
+   *
+   * @param {string} id - The job ID.
+   * @param {Object} pairResult - { questionIndex, model, result }.
+   * @returns {Object|null} The updated job, or null if it does not exist.
+   */
+  addResult: (id, pairResult) => {
+    const job = jobsStore.items.get(id);
+    if (!job) return null;
+
+    job.results.push(pairResult);
+    job.progress.done += 1;
+    jobsStore.emit(id, 'result', { ...pairResult, progress: job.progress });
+    return job;
+  },
+
+  // Mark a job as completed with the final set IDs
+  complete: (id, { setId, supabaseId }) => {
+    const job = jobsStore.items.get(id);
+    if (!job) return null;
+
+    job.status = 'completed';
+    job.setId = setId || job.setId;
+    job.supabaseId = supabaseId || null;
+    job.finished_at = new Date().toISOString();
+    jobsStore.emit(id, 'complete', { jobId: id, setId: job.setId, supabaseId: job.supabaseId });
+    return job;
+  },
+
+  // Mark a job as failed
+  fail: (id, error) => {
+    const job = jobsStore.items.get(id);
+    if (!job) return null;
+
+    job.status = 'failed';
+    job.error = error && error.message ? error.message : String(error);
+    job.finished_at = new Date().toISOString();
+    jobsStore.emit(id, 'failed', { jobId: id, error: job.error });
+    return job;
+  },
+
+  /**
+   * Publishes an event for a job to any subscribers.
+   *
+   * @param {string} id - The job ID.
+   * @param {string} event - Event name ('response', 'result', 'complete' or 'failed').
+   * @param {Object} data - JSON-serializable event payload.
+   */
+  emit: (id, event, data) => {
+    jobEvents.emit(id, event, data);
+  },
+
+  /**
+   * Subscribes to the events of a job.
+   *
+   * @param {string} id - The job ID.
+   * @param {Function} listener - Called with (event, data).
+   * @returns {Function} Call to unsubscribe.
+   */
+  subscribe: (id, listener) => {
+    jobEvents.on(id, listener);
+    return () => jobEvents.off(id, listener);
+  },
+
+  // Drop finished jobs older than the TTL so the map doesn't grow forever
+  prune: () => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobsStore.items) {
+      if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+        jobsStore.items.delete(id);
+      }
+    }
+  },
+};
+
+module.exports = { jobsStore };
@@ -0,0 +1,209 @@
+// LLM judge configuration: the judge model and the prompt it grades with
+const { AVAILABLE_MODELS, getModelTarget, getProvider } = require('./models');
+const { isMockMode } = require('./providers');
+const { validateRubric } = require('./rubric');
+const { validateEnsemble } = require('./ensemble');
+
+// OpenRouter model used as the LLM judge unless a set picks another
+const DEFAULT_JUDGE_MODEL = 'openai/gpt-4.1-mini';
+
+const PLACEHOLDERS = ['{question}', '{reference_answer}', '{model_response}'];
+
+const RESPONSE_FORMAT = `Respond with a JSON object in the following format:
+{
+  "is_correct": true/false,
+  "reasoning": "A brief explanation (1-2 sentences) of why the response is correct or incorrect."
+}`;
+
+// Named judge prompts. Each asks for the { is_correct, reasoning } JSON verdict.
+const JUDGE_PROMPTS = {
+  default: `
+You are a precise and objective evaluator tasked with determining if a model's answer correctly responds to a user question based on a provided reference answer.
+
+[QUESTION]
+{question}
+
+[REFERENCE ANSWER]
+{reference_answer}
+
+[MODEL RESPONSE]
+{model_response}
+
+Evaluate whether the model response correctly answers the question by comparing it to the reference answer.
+
+Instructions for evaluation:
+1. The response is CORRECT if it contains the same key information as the reference answer, even if phrased differently.
+2. The response is INCORRECT if it:
+   - Contradicts the reference answer
+   - Misses critical information contained in the reference answer
+   - Adds incorrect information not in the reference answer
+   - Fails to address the question directly
+
+${RESPONSE_FORMAT}
+
+Your evaluation must be strict but fair, focusing only on correctness of information rather than style, verbosity, or tone.
+`,
+
+  strict: `
+You are a demanding evaluator checking whether a model's answer matches a reference answer exactly in substance.
+
+[QUESTION]
+{question}
+
+[REFERENCE ANSWER]
+{reference_answer}
+
+[MODEL RESPONSE]
+{model_response}
+
+Evaluate whether the model response is fully correct when compared to the reference answer.
+
+Instructions for evaluation:
+1. The response is CORRECT only if it states every fact in the reference answer and nothing that contradicts it.
+2. The response is INCORRECT if it:
+   - Omits any detail, number, unit or qualification given in the reference answer
+   - Includes any claim that is wrong or unsupported by the reference answer, even a minor one
+   - Hedges between several answers instead of committing to one
+   - Fails to address the question directly
+
+${RESPONSE_FORMAT}
+
+When in doubt, mark the response incorrect.
+`,
+
+  lenient: `
+You are a fair evaluator checking whether a model's answer gets the main point of a reference answer right.
+
+[QUESTION]
+{question}
+
+[REFERENCE ANSWER]
+{reference_answer}
+
+[MODEL RESPONSE]
+{model_response}
+
+Evaluate whether the model response conveys the core answer given in the reference answer.
+
+Instructions for evaluation:
+1. The response is CORRECT if its main answer agrees with the reference answer, even if it is phrased differently, is less detailed, or adds extra context.
+2. The response is INCORRECT if it:
+   - Gives a different main answer than the reference answer
+   - Contradicts the reference answer on a point that matters to the question
+   - Does not answer the question at all
+
+${RESPONSE_FORMAT}
+
+Ignore style, length, formatting and minor omissions.
+`,
+};
+
+// Judges are registry models or OpenRouter slugs
+function checkJudgeModel(model, label) {
+  if (typeof model !== 'string' || (!AVAILABLE_MODELS[model] && !model.includes('/'))) {
+    return [`${label} must be a registered model or an OpenRouter slug such as "openai/gpt-4.1-mini"`];
+  }
+  if (AVAILABLE_MODELS[model] && AVAILABLE_MODELS[model].enabled === false) {
+    return [`${label} ${model} is disabled`];
+  }
+  return [];
+}
+
+/**
+ * Validates the judge settings of an evaluate-set request and fills in defaults.
+ *
+ * @param {Object} [judge] - { model, prompt, template } plus the ensemble settings `models`,
+ *   `samples`, `aggregation` and `reviewBelow` (see ensemble.js). `model` is a registry key or an
+ *   OpenRouter slug; `prompt` names an entry in JUDGE_PROMPTS; `template` is a custom prompt using
+ *   the {question}, {reference_answer} and {model_response} placeholders. `prompt` and `template`
+ *   are mutually exclusive.
+ * @param {Object} [rubric] - A rubric (see rubric.js). Rubric sets are graded with a prompt built
+ *   from their criteria, so `prompt` and `template` can't be combined with one.
+ * @returns {{ config: Object|null, errors: string[] }} config is { model, prompt, template, rubric,
+ *   ensemble }, where prompt is 'custom' for custom templates and 'rubric' for rubric scoring, and
+ *   ensemble is null for a single judge vote. For ensembles, `model` is the first judge model.
+ */
+function resolveJudgeConfig(judge, rubric) {
+  if (judge === undefined || judge === null) {
+    judge = {};
+  }
+  if (typeof judge !== 'object' || Array.isArray(judge)) {
+    return { config: null, errors: ['judge must be an object'] };
+  }
+
+  const { ensemble, errors } = validateEnsemble(judge, judge.model || DEFAULT_JUDGE_MODEL);
+  // A `models` list with one model and default ensemble settings is a single judge vote by that model
+  const singleModel = Array.isArray(judge.models) && judge.models.length > 0 ? judge.models[0] : judge.model || DEFAULT_JUDGE_MODEL;
+  const model = ensemble ? ensemble.models[0] : singleModel;
+  if (Array.isArray(judge.models)) {
+    judge.models.forEach((name, index) => errors.push(...checkJudgeModel(name, `judge.models[${index}]`)));
+  } else {
+    errors.push(...checkJudgeModel(model, 'judge.model'));
+  }
+  const withEnsemble = (config) => (ensemble ? { ...config, ensemble } : config);
+
+  if (rubric !== undefined && rubric !== null) {
+    const { config: rubricConfig, errors: rubricErrors } = validateRubric(rubric);
+    errors.push(...rubricErrors);
+    if (judge.prompt || judge.template !== undefined) {
+      errors.push('judge.prompt and judge.template cannot be used with a rubric');
+    }
+    return { config: errors.length > 0 ? null : withEnsemble({ model, prompt: 'rubric', template: null, rubric: rubricConfig }), errors };
+  }
+
+  let prompt = judge.prompt || 'default';
+  let template = JUDGE_PROMPTS[prompt];
+  if (judge.template !== undefined) {
+    if (judge.prompt) {
+      errors.push('judge.prompt and judge.template cannot both be set');
+    } else if (typeof judge.template !== 'string' || !judge.template.includes('{model_response}')) {
+      errors.push('judge.template must be a string containing the {model_response} placeholder');
+    }
+    prompt = 'custom';
+    template = judge.template;
+  } else if (!template) {
+    errors.push(`judge.prompt must be one of: ${Object.keys(JUDGE_PROMPTS).join(', ')}`);
+  }
+
+  return { config: errors.length > 0 ? null : withEnsemble({ model, prompt, template }), errors };
+}
+
+/**
+ * Fills a judge template's placeholders.
+ *
+ * @param {string} template - The judge prompt template.
+ * @param {Object} values - { question, referenceAnswer, modelResponse }.
+ * @returns {string} The prompt.
+ */
+function renderJudgePrompt(template, { question, referenceAnswer, modelResponse }) {
+  const values = {
+    '{question}': question,
+    '{reference_answer}': referenceAnswer,
+    '{model_response}': modelResponse,
+  };
+  // split/join rather than replace, so every occurrence is filled and "$" in answers is left alone
+  return PLACEHOLDERS.reduce((prompt, placeholder) => prompt.split(placeholder).join(values[placeholder] ?? ''), template);
+}
+
+/**
+ * Resolves how to call a judge model. Registry keys use the model's own adapter; slugs go
+ * through OpenRouter. With MODEL_PROVIDER=mock every judge is the mock judge.
+ *
+ * @param {string} model - A registry key or an OpenRouter slug.
+ * @returns {{ adapter: string, model: string, endpoint?: Object, provider: string }}
+ */
+function getJudgeTarget(model) {
+  const target = AVAILABLE_MODELS[model]
+    ? getModelTarget(model)
+    : { adapter: isMockMode() ? 'mock' : 'openrouter', model };
+  return { ...target, provider: getProvider(model) };
+}
+
+module.exports = {
+  DEFAULT_JUDGE_MODEL,
+  JUDGE_PROMPTS,
+  checkJudgeModel,
+  resolveJudgeConfig,
+  renderJudgePrompt,
+  getJudgeTarget,
+};
@@ -0,0 +1,54 @@
+// Judging passes: every re-judge of a set's stored responses is kept next to the earlier verdicts
+
+// Evaluation types that aren't a verdict from the judge or a scorer. Responses in pairwise sets
+// have no verdict of their own; the judge grades them against each other.
+const NON_AUTOMATIC_EVALUATION_TYPES = ['manual', 'pending_manual', 'skipped_error', 'pairwise'];
+
+const isAutomaticEvaluation = (evaluation) => Boolean(
+  evaluation && evaluation.evaluation_type && !NON_AUTOMATIC_EVALUATION_TYPES.includes(evaluation.evaluation_type)
+);
+
+/**
+ * Starts a new judging pass on a set. The first re-judge also records the original run as pass 1.
+ *
+ * @param {Object} evaluationSet - The set being re-judged.
+ * @param {Object} info - What the pass grades with: { judge, scorer, filters, job_id }.
+ * @returns {Object} The pass entry, { pass, ...info, created_at }, added to results.judging_passes.
+ */
+function startJudgingPass(evaluationSet, info) {
+  const results = evaluationSet.results || {};
+  const passes = results.judging_passes || (results.judge
+    ? [{ pass: 1, judge: results.judge, created_at: evaluationSet.created_at || evaluationSet.timestamp || null }]
+    : []);
+
+  const entry = { pass: passes.length + 1, ...info, created_at: new Date().toISOString() };
+  evaluationSet.results = { ...results, judging_passes: [...passes, entry] };
+  return entry;
+}
+
+/**
+ * Records a result's verdict from a judging pass. Earlier automatic verdicts stay in
+ * `judge_passes`; a manual verdict stays the effective one, with the new automatic verdict in
+ * `auto_evaluation` for agreement reporting.
+ *
+ * @param {Object} result - An entry from questions[].results.
+ * @param {number} pass - The pass number.
+ * @param {Object} evaluation - The new verdict.
+ * @param {Object|null} judgeUsage - Usage of the pass's judge calls (null for scorers).
+ */
+function recordJudgingPass(result, pass, evaluation, judgeUsage) {
+  if (!result.judge_passes) {
+    const original = result.auto_evaluation || (isAutomaticEvaluation(result.evaluation) ? result.evaluation : null);
+    result.judge_passes = original ? [{ pass: 1, evaluation: original, judge_usage: result.judge_usage || null }] : [];
+  }
+  result.judge_passes.push({ pass, evaluation, judge_usage: judgeUsage || null });
+  result.judge_usage = judgeUsage || null;
+
+  if (result.evaluation && result.evaluation.evaluation_type === 'manual') {
+    result.auto_evaluation = evaluation;
+  } else {
+    result.evaluation = evaluation;
+  }
+}
+
+module.exports = { NON_AUTOMATIC_EVALUATION_TYPES, isAutomaticEvaluation, startJudgingPass, recordJudgingPass };
@@ -0,0 +1,210 @@
+// Cross-set model leaderboard: Bradley-Terry ratings fitted to pairwise judgments and to
+// head-to-head correctness (one model right, the other wrong, on the same question)
+const { getOutcome } = require('./summary');
+
+const BASE_RATING = 1000;
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-9;
+
+// Questions a tag filter keeps
+const hasTag = (question, tag) => !tag || (Array.isArray(question.tags) && question.tags.includes(tag));
+
+/**
+ * Strips a set down to the fields the leaderboard reads, so large sets (responses, reasoning,
+ * transcripts) aren't kept in memory while many are loaded.
+ *
+ * @param {Object} evaluationSet - A stored evaluation set.
+ * @returns {Object} { id, user_id, created_at, questions: [{ tags, results, comparisons }] }, with
+ *   results cut to { model_key, model, status, evaluation: { evaluation_type, is_correct } } and
+ *   comparisons to { outcome, models, model_names }.
+ */
+function toLeaderboardSet(evaluationSet) {
+  return {
+    id: evaluationSet.id,
+    user_id: evaluationSet.user_id,
+    created_at: evaluationSet.created_at || evaluationSet.timestamp,
+    questions: (evaluationSet.questions || []).map((question) => ({
+      tags: question.tags,
+      results: (question.results || []).map((result) => result && {
+        model_key: result.model_key,
+        model: result.model,
+        status: result.status,
+        evaluation: result.evaluation && {
+          evaluation_type: result.evaluation.evaluation_type,
+          is_correct: result.evaluation.is_correct,
+        },
+      }),
+      comparisons: (question.comparisons || []).map(({ outcome, models, model_names: modelNames }) => ({
+        outcome,
+        models,
+        model_names: modelNames,
+      })),
+    })),
+  };
+}
+
+/**
+ * Collects matches between models from stored sets.
+ *
+ * @param {Object[]} sets - Evaluation sets with their questions.
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only use questions with this tag.
+ * @returns {{ matches: Object[], models: Object, legacyResults: number }} matches are { a, b, score,
+ *   source }, where score is 1 when a won, 0 when b won and 0.5 for a tie, and source is 'pairwise'
+ *   or 'correctness'. models maps each model key to { model, correct, graded } over the questions
+ *   used. legacyResults counts the graded results left out for having no model_key.
+ */
+function collectMatches(sets, { tag } = {}) {
+  const matches = [];
+  const models = {};
+  let legacyResults = 0;
+  const track = (result) => {
+    const key = result.model_key;
+    models[key] = models[key] || { model: result.model, correct: 0, graded: 0 };
+    return key;
+  };
+
+  sets.forEach((evaluationSet) => {
+    (evaluationSet.questions || []).forEach((question) => {
+      if (!hasTag(question, tag)) return;
+
+      // Graded results: a model that got the question right beats one that got it wrong
+      const graded = [];
+      (question.results || []).forEach((result) => {
+        if (!result) return;
+        const outcome = getOutcome(result);
+        if (outcome !== 'correct' && outcome !== 'incorrect') return;
+        // Older sets stored only display names, which don't identify a model: "GPT-4.1" was the
+        // display name of both gpt4o and gpt41. Their results are left out rather than guessed at.
+        if (!result.model_key) {
+          legacyResults += 1;
+          return;
+        }
+        const key = track(result);
+        models[key].graded += 1;
+        if (outcome === 'correct') models[key].correct += 1;
+        graded.push({ key, correct: outcome === 'correct' });
+      });
+      graded.forEach((first, index) => {
+        graded.slice(index + 1).forEach((second) => {
+          // Both right or both wrong says nothing about which model is stronger
+          if (first.correct === second.correct || first.key === second.key) return;
+          matches.push({ a: first.key, b: second.key, score: first.correct ? 1 : 0, source: 'correctness' });
+        });
+      });
+
+      (question.comparisons || []).forEach((comparison) => {
+        if (!['a', 'b', 'tie'].includes(comparison.outcome)) return;
+        comparison.models.forEach((key, index) => {
+          models[key] = models[key] || { model: (comparison.model_names || [])[index] || key, correct: 0, graded: 0 };
+        });
+        const score = comparison.outcome === 'a' ? 1 : comparison.outcome === 'b' ? 0 : 0.5;
+        matches.push({ a: comparison.models[0], b: comparison.models[1], score, source: 'pairwise' });
+      });
+    });
+  });
+
+  return { matches, models, legacyResults };
+}
+
+/**
+ * Fits Bradley-Terry strengths with Hunter's MM algorithm. Every model also plays one virtual
+ * drawn pair of games against an average opponent, which keeps models that never lost (or never
+ * won) at a finite rating and pulls models with few matches towards the middle.
+ *
+ * @param {Object[]} matches - From collectMatches.
+ * @param {string[]} keys - The models to rate.
+ * @returns {Object} Map of model key to rating on an Elo-like scale (BASE_RATING for an average
+ *   model; 400 points is 10:1 odds).
+ */
+function fitBradleyTerry(matches, keys) {
+  const wins = {};
+  const games = {};
+  keys.forEach((key) => {
+    wins[key] = 1; // Half of each virtual game against the average opponent
+    games[key] = {};
+  });
+  matches.forEach(({ a, b, score }) => {
+    wins[a] += score;
+    wins[b] += 1 - score;
+    games[a][b] = (games[a][b] || 0) + 1;
+    games[b][a] = (games[b][a] || 0) + 1;
+  });
+
+  let strength = {};
+  keys.forEach((key) => { strength[key] = 1; });
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    const next = {};
+    let change = 0;
+    keys.forEach((key) => {
+      let denominator = 2 / (strength[key] + 1); // The virtual games against a strength-1 opponent
+      Object.entries(games[key]).forEach(([opponent, count]) => {
+        denominator += count / (strength[key] + strength[opponent]);
+      });
+      next[key] = wins[key] / denominator;
+      change = Math.max(change, Math.abs(Math.log(next[key] / strength[key])));
+    });
+    strength = next;
+    if (change < TOLERANCE) break;
+  }
+
+  const ratings = {};
+  keys.forEach((key) => {
+    ratings[key] = BASE_RATING + 400 * Math.log10(strength[key]);
+  });
+  return ratings;
+}
+
+/**
+ * Ranks models across sets.
+ *
+ * @param {Object[]} sets - Evaluation sets with their questions.
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only use questions with this tag.
+ * @returns {Object} { sets, matches: { pairwise, correctness }, legacy_results, models: [entry] },
+ *   where legacy_results counts results left out for having no model_key, models are sorted by
+ *   rating and each entry is { rank, model_key, model, rating, matches, wins, losses, ties,
+ *   win_rate, correct, graded, accuracy }.
+ */
+function buildLeaderboard(sets, { tag } = {}) {
+  const { matches, models, legacyResults } = collectMatches(sets, { tag });
+  const keys = Object.keys(models);
+  const ratings = fitBradleyTerry(matches, keys);
+
+  const records = {};
+  keys.forEach((key) => { records[key] = { matches: 0, wins: 0, losses: 0, ties: 0 }; });
+  matches.forEach(({ a, b, score }) => {
+    [[a, score], [b, 1 - score]].forEach(([key, points]) => {
+      records[key].matches += 1;
+      if (points === 1) records[key].wins += 1;
+      else if (points === 0) records[key].losses += 1;
+      else records[key].ties += 1;
+    });
+  });
+
+  const entries = keys
+    .map((key) => ({
+      model_key: key,
+      model: models[key].model,
+      rating: Math.round(ratings[key] * 10) / 10,
+      ...records[key],
+      win_rate: records[key].matches > 0 ? (records[key].wins + records[key].ties / 2) / records[key].matches : null,
+      correct: models[key].correct,
+      graded: models[key].graded,
+      accuracy: models[key].graded > 0 ? models[key].correct / models[key].graded : null,
+    }))
+    .sort((x, y) => y.rating - x.rating || x.model_key.localeCompare(y.model_key))
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return {
+    sets: sets.length,
+    matches: {
+      pairwise: matches.filter((match) => match.source === 'pairwise').length,
+      correctness: matches.filter((match) => match.source === 'correctness').length,
+    },
+    legacy_results: legacyResults,
+    models: entries,
+  };
+}
+
+module.exports = { BASE_RATING, toLeaderboardSet, collectMatches, fitBradleyTerry, buildLeaderboard };
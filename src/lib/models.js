@@ -1,22 +1,146 @@
-const AVAILABLE_MODELS = {
+const { supabase } = require('./supabase');
+const { ADAPTER_NAMES } = require('./providers');
+
+// Model registry. BUILT_IN_MODELS seeds it; rows in the Supabase `models` table add to or
+// override them (see loadModels), so models can be added without a deploy.
+//
+// Each model declares the adapter that serves it (see src/lib/providers). `slug` is the
+// OpenRouter slug; `adapterModel` is the model ID sent to the adapter when it isn't OpenRouter.
+// To bypass OpenRouter for a provider we hold keys for, e.g.:
+//   claude3: { ..., adapter: 'anthropic', adapterModel: 'claude-sonnet-4-20250514' }
+// Self-hosted models are registered at startup from CUSTOM_MODELS (see loadCustomModels).
+// With MODEL_PROVIDER=mock every model is answered by the offline mock adapter instead.
+//
+// `pricing` is the price in USD per million tokens ({ input, output }) used for cost accounting.
+const BUILT_IN_MODELS = {
   gpt4o: {
     slug: 'openai/gpt-4.1',
-    display: 'GPT-4.1'
+    display: 'GPT-4.1',
+    provider: 'openai',
+    adapter: 'openrouter',
+    pricing: { input: 2, output: 8 },
+    deprecated: {
+      at: null,
+      message: 'gpt4o is an alias for GPT-4.1 (openai/gpt-4.1), not GPT-4o. Use gpt41.',
+      replacedBy: 'gpt41'
+    }
   },
   gpt41: {
     slug: 'openai/gpt-4.1',
-    display: 'GPT-4.1'
+    display: 'GPT-4.1',
+    provider: 'openai',
+    adapter: 'openrouter',
+    pricing: { input: 2, output: 8 }
   },
   claude3: {
     slug: 'anthropic/claude-sonnet-4',
-    display: 'Claude Sonnet 4'
+    display: 'Claude Sonnet 4',
+    provider: 'anthropic',
+    adapter: 'openrouter',
+    pricing: { input: 3, output: 15 }
   },
   gemini: {
     slug: 'google/gemini-2.5-flash-preview-05-20',
-    display: 'Gemini 2.5 Flash'
+    display: 'Gemini 2.5 Flash',
+    provider: 'google',
+    adapter: 'openrouter',
+    pricing: { input: 0.15, output: 0.6 }
   }
 };
 
+// Prices for models called by slug outside the registry, such as the judge
+const SLUG_PRICING = {
+  'openai/gpt-4.1-mini': { input: 0.4, output: 1.6 },
+};
+
+// The live registry. Mutated in place so every module that imported it sees updates.
+const AVAILABLE_MODELS = {};
+
+/**
+ * Validates a model definition and fills in defaults.
+ *
+ * @param {string} key - The model name used in evaluate-set requests (letters, digits, '-' and '_').
+ * @param {Object} config
+ * @param {string} [config.adapter] - Adapter name (default 'openrouter').
+ * @param {string} [config.slug] - OpenRouter slug; required for the openrouter adapter.
+ * @param {string} [config.adapterModel] - Model ID for other adapters.
+ * @param {string} [config.display] - Display name for results (defaults to the key).
+ * @param {string} [config.provider] - Provider name for concurrency limits.
+ * @param {string} [config.baseURL] - Server URL, required for the openai-compatible adapter.
+ * @param {string} [config.apiKey] - API key for an openai-compatible server.
+ * @param {string} [config.apiKeyEnv] - Environment variable holding that key, instead of `apiKey`.
+ * @param {Object} [config.headers] - Extra headers for an openai-compatible server.
+ * @param {Object} [config.pricing] - { input, output } in USD per million tokens; unpriced models report no cost.
+ * @param {boolean} [config.enabled] - Whether the model can be evaluated (default true).
+ * @param {Object} [config.deprecated] - { at, message, replacedBy } when the model is deprecated.
+ * @returns {Object} The normalized entry.
+ * @throws {Error} If the key or config is invalid.
+ */
+function normalizeModel(key, config) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(key || '')) {
+    throw new Error(`Invalid model key "${key}"`);
+  }
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Model ${key} has no configuration`);
+  }
+
+  const adapter = config.adapter || 'openrouter';
+  if (!ADAPTER_NAMES.includes(adapter)) {
+    throw new Error(`Model ${key} uses unknown adapter "${adapter}"`);
+  }
+  if (adapter === 'openrouter' && !config.slug) {
+    throw new Error(`Model ${key} is missing slug`);
+  }
+  if (adapter !== 'openrouter' && adapter !== 'mock' && !config.adapterModel) {
+    throw new Error(`Model ${key} is missing adapterModel`);
+  }
+
+  const entry = {
+    slug: config.slug,
+    display: config.display || key,
+    provider: config.provider,
+    adapter,
+    enabled: config.enabled !== false,
+    deprecated: config.deprecated || null,
+  };
+  if (config.adapterModel) {
+    entry.adapterModel = config.adapterModel;
+  }
+  if (config.pricing) {
+    const { input, output } = config.pricing;
+    if (![input, output].every((price) => typeof price === 'number' && price >= 0)) {
+      throw new Error(`Model ${key} pricing must have non-negative input and output prices`);
+    }
+    entry.pricing = { input, output };
+  }
+
+  if (adapter === 'openai-compatible') {
+    let url;
+    try {
+      url = new URL(config.baseURL);
+    } catch (error) {
+      throw new Error(`Model ${key} has an invalid baseURL`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Model ${key} baseURL must use http or https`);
+    }
+    if (config.headers && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+      throw new Error(`Model ${key} headers must be an object`);
+    }
+
+    entry.slug = entry.slug || `${url.host}/${config.adapterModel}`;
+    entry.provider = entry.provider || url.host;
+    entry.baseURL = config.baseURL;
+    entry.apiKey = config.apiKey;
+    entry.apiKeyEnv = config.apiKeyEnv;
+    entry.headers = config.headers || {};
+  }
+
+  entry.slug = entry.slug || `${adapter}/${config.adapterModel || key}`;
+  entry.provider = entry.provider || entry.slug.split('/')[0];
+  return entry;
+}
+
 /**
  * Retrieves the slug for the specified model name.
  *
@@ -31,4 +155,285 @@ function getDisplayName(name) {
   return AVAILABLE_MODELS[name] ? AVAILABLE_MODELS[name].display : name;
 }
 
-module.exports = { AVAILABLE_MODELS, getOpenRouterSlug, getDisplayName };
+/**
+ * Looks up the token prices of a model.
+ *
+ * @param {string} name - A model name (e.g., 'gpt41') or a slug (e.g., 'openai/gpt-4.1-mini').
+ * @returns {{ input: number, output: number }|null} USD per million tokens, or null if the model is unpriced.
+ */
+function getPricing(name) {
+  if (AVAILABLE_MODELS[name]) {
+    return AVAILABLE_MODELS[name].pricing || null;
+  }
+  const bySlug = Object.values(AVAILABLE_MODELS).find((config) => config.slug === name && config.pricing);
+  return bySlug ? bySlug.pricing : SLUG_PRICING[name] || null;
+}
+
+/**
+ * Resolves how to call a model: which adapter serves it and the model ID that adapter expects.
+ *
+ * @param {string} name - The name of the model (e.g., 'gpt41').
+ * @returns {{ adapter: string, model: string }|null} The call target, or null if the name is unsupported.
+ */
+function getModelTarget(name) {
+  const config = AVAILABLE_MODELS[name];
+  if (!config) return null;
+
+  if (process.env.MODEL_PROVIDER === 'mock') {
+    return { adapter: 'mock', model: name };
+  }
+
+  const adapter = config.adapter || 'openrouter';
+  const target = {
+    adapter,
+    model: adapter === 'openrouter' ? config.slug : config.adapterModel || config.slug,
+  };
+  if (adapter === 'openai-compatible') {
+    target.endpoint = {
+      baseURL: config.baseURL,
+      apiKey: config.apiKey,
+      apiKeyEnv: config.apiKeyEnv,
+      headers: config.headers,
+    };
+  }
+  return target;
+}
+
+/**
+ * Retrieves the upstream provider for a model, used to apply per-provider limits.
+ *
+ * @param {string} name - A model name (e.g., 'gpt41') or an OpenRouter slug (e.g., 'openai/gpt-4.1-mini').
+ * @returns {string} The provider (e.g., 'openai'), or 'unknown' if it cannot be determined.
+ */
+function getProvider(name) {
+  if (AVAILABLE_MODELS[name]) {
+    return AVAILABLE_MODELS[name].provider;
+  }
+  return name && name.includes('/') ? name.split('/')[0] : 'unknown';
+}
+
+/**
+ * Checks that models can be evaluated.
+ *
+ * @param {string[]} names - Model names from an evaluate-set request.
+ * @returns {{ errors: string[], warnings: string[] }} Errors for unknown or disabled models,
+ *   warnings for deprecated ones.
+ */
+function checkModelsAvailable(names) {
+  const errors = [];
+  const warnings = [];
+
+  names.forEach((name) => {
+    const config = AVAILABLE_MODELS[name];
+    if (!config) {
+      errors.push(`Unknown model: ${name}`);
+    } else if (config.enabled === false) {
+      errors.push(`Model ${name} is disabled${config.deprecated && config.deprecated.replacedBy ? `; use ${config.deprecated.replacedBy}` : ''}`);
+    } else if (config.deprecated) {
+      warnings.push(`Model ${name} is deprecated: ${config.deprecated.message || 'no reason given'}`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Registers a model served by an OpenAI-compatible endpoint (vLLM, Ollama, ...).
+ * The registration lives in memory only; use saveModel to persist a model.
+ *
+ * @param {string} key - The model name used in evaluate-set requests.
+ * @param {Object} config - As for normalizeModel; `baseURL` and `adapterModel` are required.
+ * @returns {Object} The registered entry.
+ * @throws {Error} If the key or config is invalid.
+ */
+function registerModel(key, config) {
+  AVAILABLE_MODELS[key] = normalizeModel(key, { ...config, adapter: 'openai-compatible' });
+  return AVAILABLE_MODELS[key];
+}
+
+/**
+ * Registers the self-hosted models in CUSTOM_MODELS, a JSON object keyed by model name, e.g.
+ *   CUSTOM_MODELS='{"llama3": {"display": "Llama 3.1 8B", "baseURL": "http://localhost:11434/v1", "adapterModel": "llama3.1:8b"}}'
+ * Invalid entries are logged and skipped so one typo doesn't stop the server.
+ */
+function loadCustomModels() {
+  if (!process.env.CUSTOM_MODELS) return;
+
+  let customModels;
+  try {
+    customModels = JSON.parse(process.env.CUSTOM_MODELS);
+  } catch (error) {
+    console.error(`CUSTOM_MODELS is not valid JSON: ${error.message}`);
+    return;
+  }
+
+  Object.entries(customModels).forEach(([key, config]) => {
+    try {
+      registerModel(key, config);
+      console.log(`Registered custom model ${key} (${config.baseURL})`);
+    } catch (error) {
+      console.error(`Skipping custom model ${key}: ${error.message}`);
+    }
+  });
+}
+
+// Map between registry entries and rows of the Supabase `models` table.
+// API keys are never stored - persisted self-hosted models must use apiKeyEnv.
+function rowToModel(row) {
+  return {
+    slug: row.slug,
+    display: row.display,
+    provider: row.provider,
+    adapter: row.adapter,
+    adapterModel: row.adapter_model || undefined,
+    baseURL: row.base_url || undefined,
+    apiKeyEnv: row.api_key_env || undefined,
+    headers: row.headers || undefined,
+    pricing: row.pricing || undefined,
+    enabled: row.enabled !== false,
+    deprecated: row.deprecated_at || row.deprecation_message || row.replaced_by
+      ? { at: row.deprecated_at, message: row.deprecation_message, replacedBy: row.replaced_by }
+      : null,
+  };
+}
+
+function modelToRow(key, entry) {
+  return {
+    key,
+    slug: entry.slug,
+    display: entry.display,
+    provider: entry.provider,
+    adapter: entry.adapter,
+    adapter_model: entry.adapterModel || null,
+    base_url: entry.baseURL || null,
+    api_key_env: entry.apiKeyEnv || null,
+    headers: entry.headers || null,
+    pricing: entry.pricing || null,
+    enabled: entry.enabled !== false,
+    deprecated_at: entry.deprecated ? entry.deprecated.at || null : null,
+    deprecation_message: entry.deprecated ? entry.deprecated.message || null : null,
+    replaced_by: entry.deprecated ? entry.deprecated.replacedBy || null : null,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Rebuilds the registry from the built-in models, CUSTOM_MODELS and the Supabase
+ * `models` table, in that order of precedence (later wins). If the table can't be
+ * read, the registry keeps the built-in and custom models.
+ *
+ * @returns {Promise<Object>} The registry.
+ */
+async function loadModels() {
+  const models = {};
+  Object.entries(BUILT_IN_MODELS).forEach(([key, config]) => {
+    models[key] = normalizeModel(key, config);
+  });
+
+  Object.keys(AVAILABLE_MODELS).forEach((key) => delete AVAILABLE_MODELS[key]);
+  Object.assign(AVAILABLE_MODELS, models);
+  loadCustomModels();
+
+  if (!supabase) return AVAILABLE_MODELS;
+
+  const { data, error } = await supabase.from('models').select('*');
+  if (error) {
+    console.error(`Could not load models from Supabase, using built-in models: ${error.message}`);
+    return AVAILABLE_MODELS;
+  }
+
+  data.forEach((row) => {
+    try {
+      AVAILABLE_MODELS[row.key] = normalizeModel(row.key, rowToModel(row));
+    } catch (loadError) {
+      console.error(`Skipping stored model ${row.key}: ${loadError.message}`);
+    }
+  });
+  console.log(`Loaded ${data.length} model(s) from Supabase`);
+  return AVAILABLE_MODELS;
+}
+
+// Headers that carry credentials; like API keys, they are never stored with a model
+const CREDENTIAL_HEADER = /^(authorization|proxy-authorization|cookie)$|api[-_]?key|token|secret/i;
+
+/**
+ * Creates or updates a model and persists it to Supabase when configured.
+ *
+ * @param {string} key - The model name.
+ * @param {Object} config - The full model definition (see normalizeModel), without a literal `apiKey`
+ *   or credential headers such as Authorization or x-api-key.
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - A literal key the model already has in memory (from
+ *   CUSTOM_MODELS). It is kept in the registry but never persisted.
+ * @returns {Promise<Object>} The saved entry.
+ * @throws {Error} If the definition is invalid, or the database write fails (with status 500).
+ */
+async function saveModel(key, config, { apiKey } = {}) {
+  if (config.apiKey) {
+    throw new Error('API keys cannot be stored with a model; set apiKeyEnv to the name of an environment variable instead');
+  }
+  const credentialHeaders = Object.keys(config.headers || {}).filter((name) => CREDENTIAL_HEADER.test(name));
+  if (credentialHeaders.length > 0) {
+    throw new Error(`Credential headers cannot be stored with a model (${credentialHeaders.join(', ')}); set apiKeyEnv to the name of an environment variable instead`);
+  }
+  const entry = normalizeModel(key, { ...config, apiKey });
+
+  if (supabase) {
+    const { error } = await supabase.from('models').upsert(modelToRow(key, entry), { onConflict: 'key' });
+    if (error) {
+      const saveError = new Error(`Failed to save model ${key}: ${error.message}`);
+      saveError.status = 500;
+      throw saveError;
+    }
+  } else {
+    console.warn(`Supabase is not configured - model ${key} will be lost on restart`);
+  }
+
+  AVAILABLE_MODELS[key] = entry;
+  return entry;
+}
+
+/**
+ * Lists models for clients, leaving out credentials and endpoint details.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled] - Include disabled models (default false).
+ * @returns {Object} Map of model name to { slug, display, provider, adapter, pricing, enabled, deprecated }.
+ */
+function listModels({ includeDisabled = false } = {}) {
+  const models = {};
+  Object.entries(AVAILABLE_MODELS).forEach(([key, config]) => {
+    if (config.enabled === false && !includeDisabled) return;
+
+    models[key] = {
+      slug: config.slug,
+      display: config.display,
+      provider: config.provider,
+      adapter: config.adapter || 'openrouter',
+      pricing: config.pricing || null,
+      enabled: config.enabled !== false,
+      deprecated: config.deprecated || null,
+    };
+  });
+  return models;
+}
+
+// Seed synchronously so the registry is usable before loadModels() has read the database
+Object.entries(BUILT_IN_MODELS).forEach(([key, config]) => {
+  AVAILABLE_MODELS[key] = normalizeModel(key, config);
+});
+loadCustomModels();
+
+module.exports = {
+  AVAILABLE_MODELS,
+  getOpenRouterSlug,
+  getDisplayName,
+  getProvider,
+  getPricing,
+  getModelTarget,
+  checkModelsAvailable,
+  registerModel,
+  loadModels,
+  saveModel,
+  listModels,
+};
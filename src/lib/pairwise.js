@@ -0,0 +1,127 @@
+// Pairwise comparison: the judge sees two models' responses to the same prompt and picks one,
+// for open-ended tasks where there is no reference answer to grade against
+const { DEFAULT_JUDGE_MODEL, checkJudgeModel } = require('./judge');
+
+const PREFERENCES = ['A', 'B', 'tie'];
+
+/**
+ * Builds the judge prompt for one comparison. The reference answer, when a question has one, is
+ * shown as guidance rather than as the only acceptable answer.
+ *
+ * @param {Object} values - { question, referenceAnswer, responseA, responseB }.
+ * @returns {string} The prompt.
+ */
+function buildPairwisePrompt({ question, referenceAnswer, responseA, responseB }) {
+  const reference = referenceAnswer
+    ? `\n[REFERENCE ANSWER]\n${referenceAnswer}\n(Use this as guidance; a response can be good without matching it.)\n`
+    : '';
+  return `
+You are an impartial judge comparing two AI assistant responses to the same user prompt.
+
+[PROMPT]
+${question}
+${reference}
+[RESPONSE A]
+${responseA}
+
+[RESPONSE B]
+${responseB}
+
+Decide which response better fulfils the prompt. Consider whether it does what was asked, its accuracy, its clarity and its usefulness to the user.
+Do not let the order of the responses, their length or the names of the models influence you. Answer "tie" only when neither response is meaningfully better.
+
+Respond with a JSON object in the following format:
+{
+  "preference": "A", "B" or "tie",
+  "reasoning": "A brief explanation (1-3 sentences) of your preference."
+}
+`;
+}
+
+/**
+ * Validates the judge settings of a pairwise evaluate-set request. Comparisons use their own
+ * prompt and a single judge vote, so only the judge model can be chosen.
+ *
+ * @param {Object} [judge] - { model }.
+ * @param {Object} [rubric] - Must be unset; rubrics grade against criteria, not another response.
+ * @returns {{ config: Object|null, errors: string[] }} config is { model, prompt: 'pairwise', template: null, mode: 'pairwise' }.
+ */
+function resolvePairwiseJudge(judge, rubric) {
+  const settings = judge === undefined || judge === null ? {} : judge;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return { config: null, errors: ['judge must be an object'] };
+  }
+
+  const errors = [];
+  if (rubric !== undefined && rubric !== null) {
+    errors.push('A rubric cannot be used in pairwise mode');
+  }
+  const unsupported = ['prompt', 'template', 'models', 'samples', 'aggregation', 'reviewBelow'].filter((key) => settings[key] !== undefined);
+  if (unsupported.length > 0) {
+    errors.push(`judge.${unsupported.join(', judge.')} cannot be used in pairwise mode; only judge.model can be set`);
+  }
+  const model = settings.model || DEFAULT_JUDGE_MODEL;
+  errors.push(...checkJudgeModel(model, 'judge.model'));
+
+  return { config: errors.length > 0 ? null : { model, prompt: 'pairwise', template: null, mode: 'pairwise' }, errors };
+}
+
+/**
+ * Reads the judge's preference.
+ *
+ * @param {Object} verdict - The parsed judge JSON, { preference, reasoning }.
+ * @returns {{ preference: string, reasoning: string }} preference is 'A', 'B' or 'tie'.
+ * @throws {Error} If the preference is missing or not one of those.
+ */
+function parsePreference(verdict) {
+  const raw = verdict && typeof verdict.preference === 'string' ? verdict.preference.trim() : '';
+  const preference = PREFERENCES.find((value) => value.toLowerCase() === raw.toLowerCase());
+  if (!preference) {
+    throw new Error(`The judge's preference must be one of: ${PREFERENCES.join(', ')}`);
+  }
+  return { preference, reasoning: verdict.reasoning || '' };
+}
+
+/**
+ * Rolls the stored comparisons of a set up into win rates.
+ *
+ * @param {Object} evaluationSet - The set, whose questions carry `comparisons`.
+ * @returns {Object} { models: { [model_key]: record }, head_to_head: { [model_key]: { [opponent]: record } } },
+ *   where record is { model, comparisons, wins, losses, ties, win_rate }. win_rate counts a tie as
+ *   half a win and is null without comparisons. Failed judge calls are left out.
+ */
+function summarizePairwise(evaluationSet) {
+  const models = {};
+  const headToHead = {};
+  const emptyRecord = (model) => ({ model, comparisons: 0, wins: 0, losses: 0, ties: 0, win_rate: null });
+  const record = (entry, outcome) => {
+    entry.comparisons += 1;
+    entry[outcome] += 1;
+    entry.win_rate = (entry.wins + entry.ties / 2) / entry.comparisons;
+  };
+
+  (evaluationSet.questions || []).forEach((question) => {
+    (question.comparisons || []).forEach((comparison) => {
+      if (!['a', 'b', 'tie'].includes(comparison.outcome)) return;
+
+      const sides = [
+        { key: comparison.models[0], model: comparison.model_names[0], opponent: comparison.models[1] },
+        { key: comparison.models[1], model: comparison.model_names[1], opponent: comparison.models[0] },
+      ];
+      sides.forEach((side, index) => {
+        const won = comparison.outcome === (index === 0 ? 'a' : 'b');
+        const outcome = comparison.outcome === 'tie' ? 'ties' : won ? 'wins' : 'losses';
+
+        models[side.key] = models[side.key] || emptyRecord(side.model);
+        headToHead[side.key] = headToHead[side.key] || {};
+        headToHead[side.key][side.opponent] = headToHead[side.key][side.opponent] || emptyRecord(side.model);
+        record(models[side.key], outcome);
+        record(headToHead[side.key][side.opponent], outcome);
+      });
+    });
+  });
+
+  return { models, head_to_head: headToHead };
+}
+
+module.exports = { buildPairwisePrompt, resolvePairwiseJudge, parsePreference, summarizePairwise };
@@ -0,0 +1,56 @@
+// Direct Anthropic adapter using the Messages API
+const Anthropic = require('@anthropic-ai/sdk');
+const { requireApiKey, toUsage } = require('./shared');
+
+// The Messages API requires max_tokens on every request
+const DEFAULT_MAX_TOKENS = 4096;
+
+function createAnthropicAdapter() {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new Anthropic({
+        apiKey: requireApiKey('ANTHROPIC_API_KEY').trim(),
+        maxRetries: 0,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'anthropic',
+    label: 'Anthropic',
+
+    complete: async ({ model, messages, params = {} }) => {
+      // System prompts are a top-level field rather than a message
+      const system = messages
+        .filter((message) => message.role === 'system')
+        .map((message) => message.content)
+        .join('\n\n');
+
+      const response = await getClient().messages.create({
+        model,
+        max_tokens: params.max_tokens || DEFAULT_MAX_TOKENS,
+        // The Messages API has no seed parameter
+        ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+        ...(params.top_p !== undefined ? { top_p: params.top_p } : {}),
+        ...(params.stop !== undefined ? { stop_sequences: [].concat(params.stop) } : {}),
+        ...(system ? { system } : {}),
+        messages: messages
+          .filter((message) => message.role !== 'system')
+          .map(({ role, content }) => ({ role, content })),
+      });
+
+      return {
+        content: response.content
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join(''),
+        usage: response.usage ? toUsage(response.usage.input_tokens, response.usage.output_tokens) : null,
+      };
+    },
+  };
+}
+
+module.exports = { createAnthropicAdapter };
@@ -0,0 +1,61 @@
+// Direct Google Gemini adapter
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { requireApiKey, toUsage } = require('./shared');
+
+function createGeminiAdapter() {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new GoogleGenerativeAI(requireApiKey('GEMINI_API_KEY'));
+    }
+    return client;
+  };
+
+  return {
+    name: 'gemini',
+    label: 'Google Gemini',
+
+    complete: async ({ model, messages, params = {} }) => {
+      // This SDK version has no system instruction field, so the system prompt leads the first user turn
+      const system = messages
+        .filter((message) => message.role === 'system')
+        .map((message) => message.content)
+        .join('\n\n');
+      const contents = messages
+        .filter((message) => message.role !== 'system')
+        .map(({ role, content }) => ({
+          role: role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: content }],
+        }));
+      if (system && contents.length > 0) {
+        contents[0].parts.unshift({ text: system });
+      }
+
+      // Gemini takes the sampling params as generationConfig and has no seed
+      const generationConfig = {};
+      if (params.temperature !== undefined) generationConfig.temperature = params.temperature;
+      if (params.top_p !== undefined) generationConfig.topP = params.top_p;
+      if (params.max_tokens !== undefined) generationConfig.maxOutputTokens = params.max_tokens;
+      if (params.stop !== undefined) generationConfig.stopSequences = [].concat(params.stop);
+
+      try {
+        const result = await getClient().getGenerativeModel({ model, generationConfig }).generateContent({ contents });
+        const { usageMetadata } = result.response;
+        return {
+          content: result.response.text(),
+          usage: usageMetadata ? toUsage(usageMetadata.promptTokenCount, usageMetadata.candidatesTokenCount) : null,
+        };
+      } catch (error) {
+        // The SDK only reports the HTTP status inside the message, e.g. "[429 Too Many Requests]"
+        const match = /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+        if (match && !error.status) {
+          error.status = parseInt(match[1], 10);
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = { createGeminiAdapter };
@@ -0,0 +1,71 @@
+// Provider adapter registry
+//
+// Set MODEL_PROVIDER=mock to send every model and judge call to the offline mock adapter.
+//
+// Every adapter exposes the same interface:
+//   name     - the key models use in their `adapter` field
+//   label    - a human-readable name for logs and error messages
+//   complete({ model, messages, json, params }) - sends OpenAI-style chat messages
+//     ([{ role: 'system' | 'user' | 'assistant', content }]) to `model` and resolves
+//     to { content, usage }, where usage is { prompt_tokens, completion_tokens } or null
+//     when the provider doesn't report it. `json` asks for a JSON object where the provider supports it.
+//     `params` holds generation params (temperature, top_p, max_tokens, seed, stop, see
+//     generationParams.js); adapters map them to the provider's names and drop any the
+//     provider doesn't support.
+//     Errors from the provider SDK are thrown as-is so withRetry can classify them.
+//
+// 'openai-compatible' is the exception to one-adapter-per-name: it is created per endpoint
+// (base URL, API key and headers), so self-hosted servers can be registered as models.
+const { createOpenRouterAdapter } = require('./openrouter');
+const { createOpenAIAdapter } = require('./openai');
+const { createAnthropicAdapter } = require('./anthropic');
+const { createGeminiAdapter } = require('./gemini');
+const { createOpenAICompatibleAdapter } = require('./openaiCompatible');
+const { createMockAdapter } = require('./mock');
+
+const ADAPTER_FACTORIES = {
+  openrouter: createOpenRouterAdapter,
+  openai: createOpenAIAdapter,
+  anthropic: createAnthropicAdapter,
+  gemini: createGeminiAdapter,
+  mock: createMockAdapter,
+};
+
+const adapters = new Map();
+
+/**
+ * Whether every call is forced through the mock adapter (MODEL_PROVIDER=mock).
+ *
+ * @returns {boolean}
+ */
+function isMockMode() {
+  return process.env.MODEL_PROVIDER === 'mock';
+}
+
+/**
+ * Returns the adapter with the given name, creating it on first use.
+ *
+ * @param {string} name - The adapter name (e.g., 'openrouter', 'openai', 'anthropic', 'gemini', 'openai-compatible').
+ * @param {Object} [endpoint] - For 'openai-compatible': { baseURL, apiKey, apiKeyEnv, headers }.
+ * @returns {Object|null} The adapter, or null if there is no adapter with that name.
+ */
+function getAdapter(name, endpoint) {
+  if (name === 'openai-compatible') {
+    if (!endpoint || !endpoint.baseURL) return null;
+
+    const cacheKey = `${name}:${JSON.stringify(endpoint)}`;
+    if (!adapters.has(cacheKey)) {
+      adapters.set(cacheKey, createOpenAICompatibleAdapter(endpoint));
+    }
+    return adapters.get(cacheKey);
+  }
+
+  if (!ADAPTER_FACTORIES[name]) return null;
+
+  if (!adapters.has(name)) {
+    adapters.set(name, ADAPTER_FACTORIES[name]());
+  }
+  return adapters.get(name);
+}
+
+module.exports = { getAdapter, isMockMode, ADAPTER_NAMES: [...Object.keys(ADAPTER_FACTORIES), 'openai-compatible'] };
@@ -0,0 +1,156 @@
+// Deterministic mock adapter for offline runs and tests - no network, no API keys.
+//
+// Configuration (all optional):
+//   MOCK_RESPONSES     JSON map of question text to a scripted answer, either a string or
+//                      { "<model>": "answer", "*": "fallback" }
+//   MOCK_LATENCY_MS    Average simulated latency per call (default 100)
+//   MOCK_FAILURE_RATE  Share of calls, 0-1, that fail with MOCK_FAILURE_STATUS (default 0)
+//   MOCK_FAILURE_STATUS HTTP status for injected failures (default 503)
+// A question containing "[mock-error:429]" always fails with that status.
+//
+// Requests sent with `json: true` are judge calls and get a verdict from mockJudge.
+const crypto = require('crypto');
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Map a string to a stable number in [0, 1)
+const hashFraction = (text) => parseInt(hash(text).substring(0, 8), 16) / 0x100000000;
+
+// Rough token count (about four characters per token) so offline runs report usage
+const countTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// The adapter lives as long as the process, so only the most recently used prompts keep a call count
+const MAX_TRACKED_PROMPTS = 10000;
+
+function loadScript() {
+  if (!process.env.MOCK_RESPONSES) return {};
+  try {
+    return JSON.parse(process.env.MOCK_RESPONSES);
+  } catch (error) {
+    console.error(`MOCK_RESPONSES is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
+function mockFailure(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Score every rubric criterion (lines like "- name (0-5): ..." or "- name (pass/fail): ...")
+// at the top of its scale when the response is correct and at the bottom otherwise
+function mockRubricScores(prompt, isCorrect) {
+  const scores = {};
+  const criterion = /^- ([a-zA-Z0-9_-]+) \((?:(-?\d+)-(-?\d+)|pass\/fail)\)/gm;
+  let match;
+  while ((match = criterion.exec(prompt)) !== null) {
+    const score = match[2] === undefined ? isCorrect : parseInt(isCorrect ? match[3] : match[2], 10);
+    scores[match[1]] = { score, reasoning: `Mock judge: ${isCorrect ? 'top' : 'bottom'} of the scale.` };
+  }
+  return scores;
+}
+
+/**
+ * Grades a judge prompt built from the evaluator template. The response counts as correct
+ * when it contains the reference answer (case- and whitespace-insensitive); prompts it can't
+ * parse get a verdict derived from their hash. Rubric prompts also get a score per criterion, and
+ * pairwise prompts get a preference for the longer response.
+ *
+ * @param {string} prompt - The judge prompt.
+ * @returns {{ is_correct: boolean, reasoning: string, scores?: Object }|{ preference: string, reasoning: string }}
+ */
+function mockJudge(prompt) {
+  // Pairwise prompts: the longer response wins, whichever side it is shown on
+  const pairwise = /\[RESPONSE A\]\s*([\s\S]*?)\s*\[RESPONSE B\]\s*([\s\S]*?)\s*\n\s*\n\s*Decide/.exec(prompt);
+  if (pairwise) {
+    const [lengthA, lengthB] = [pairwise[1].length, pairwise[2].length];
+    return {
+      preference: lengthA === lengthB ? 'tie' : lengthA > lengthB ? 'A' : 'B',
+      reasoning: 'Mock judge: the longer response is preferred.',
+    };
+  }
+
+  const reference = /\[REFERENCE ANSWER\]\s*([\s\S]*?)\s*\[MODEL RESPONSE\]/.exec(prompt);
+  const response = /\[MODEL RESPONSE\]\s*([\s\S]*?)\s*\n\s*\n\s*Evaluate/.exec(prompt);
+
+  if (!reference || !response) {
+    const isCorrect = hashFraction(prompt) >= 0.5;
+    return { is_correct: isCorrect, reasoning: 'Mock judge verdict derived from the prompt hash.' };
+  }
+
+  const isCorrect = normalize(response[1]).includes(normalize(reference[1]));
+  if (prompt.includes('[RUBRIC]')) {
+    return {
+      scores: mockRubricScores(prompt, isCorrect),
+      reasoning: `Mock judge: the response ${isCorrect ? 'contains' : 'does not contain'} the reference answer.`,
+    };
+  }
+  return {
+    is_correct: isCorrect,
+    reasoning: isCorrect
+      ? 'Mock judge: the response contains the reference answer.'
+      : 'Mock judge: the response does not contain the reference answer.',
+  };
+}
+
+function createMockAdapter() {
+  const script = loadScript();
+  const latencyMs = parseInt(process.env.MOCK_LATENCY_MS, 10) >= 0 ? parseInt(process.env.MOCK_LATENCY_MS, 10) : 100;
+  const failureRate = parseFloat(process.env.MOCK_FAILURE_RATE) || 0;
+  const failureStatus = parseInt(process.env.MOCK_FAILURE_STATUS, 10) || 503;
+  // Calls per prompt, so retries of a randomly failed call can succeed while staying reproducible.
+  // Kept in least-recently-used order and capped at MAX_TRACKED_PROMPTS.
+  const callCounts = new Map();
+
+  const scriptedResponse = (model, question) => {
+    const entry = script[question];
+    if (typeof entry === 'string') return entry;
+    if (entry && typeof entry === 'object') return entry[model] || entry['*'] || null;
+    return null;
+  };
+
+  return {
+    name: 'mock',
+    label: 'Mock provider',
+
+    complete: async ({ model, messages, json = false, params = {} }) => {
+      const prompt = messages.map((message) => `${message.role}: ${message.content}`).join('\n');
+      // A different seed or temperature gives a different (but still reproducible) unscripted answer
+      const key = Object.keys(params).length > 0
+        ? `${model}\n${JSON.stringify(params)}\n${prompt}`
+        : `${model}\n${prompt}`;
+      const call = (callCounts.get(key) || 0) + 1;
+      callCounts.delete(key);
+      callCounts.set(key, call);
+      if (callCounts.size > MAX_TRACKED_PROMPTS) {
+        callCounts.delete(callCounts.keys().next().value);
+      }
+
+      // Simulated latency between 0.5x and 1.5x the configured average
+      const delay = Math.round(latencyMs * (0.5 + hashFraction(`${key}\n${call}`)));
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      const question = messages.filter((message) => message.role === 'user').map((message) => message.content).pop() || '';
+      const forced = /\[mock-error:(\d{3})\]/.exec(question);
+      if (forced) {
+        throw mockFailure(parseInt(forced[1], 10), `Mock provider error ${forced[1]}`);
+      }
+      if (failureRate > 0 && hashFraction(`${key}\nfail\n${call}`) < failureRate) {
+        throw mockFailure(failureStatus, `Mock provider error ${failureStatus}`);
+      }
+
+      const content = json
+        ? JSON.stringify(mockJudge(question))
+        : scriptedResponse(model, question) || `Mock response ${hash(key).substring(0, 8)} from ${model}.`;
+      return {
+        content,
+        usage: { prompt_tokens: countTokens(prompt), completion_tokens: countTokens(content) },
+      };
+    },
+  };
+}
+
+module.exports = { createMockAdapter, mockJudge };
@@ -0,0 +1,34 @@
+// Direct OpenAI adapter, for models billed to our own OpenAI account
+const OpenAI = require('openai');
+const { requireApiKey, fromOpenAICompletion, toOpenAIParams } = require('./shared');
+
+function createOpenAIAdapter() {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: requireApiKey('OPENAI_API_KEY'),
+        maxRetries: 0,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+
+    complete: async ({ model, messages, json = false, params = {} }) => {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        ...toOpenAIParams(params),
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      });
+      return fromOpenAICompletion(completion);
+    },
+  };
+}
+
+module.exports = { createOpenAIAdapter };
@@ -0,0 +1,47 @@
+// Adapter for any server speaking the OpenAI chat-completions protocol (vLLM, Ollama, LiteLLM, ...)
+const OpenAI = require('openai');
+const { requireApiKey, fromOpenAICompletion, toOpenAIParams } = require('./shared');
+
+/**
+ * Creates an adapter bound to one OpenAI-compatible endpoint.
+ *
+ * @param {Object} endpoint
+ * @param {string} endpoint.baseURL - Base URL of the server, e.g. 'http://vllm.internal:8000/v1'.
+ * @param {string} [endpoint.apiKey] - API key, if the server needs one.
+ * @param {string} [endpoint.apiKeyEnv] - Environment variable holding the API key, instead of `apiKey`.
+ * @param {Object} [endpoint.headers] - Extra headers sent with every request.
+ * @returns {Object} The adapter.
+ */
+function createOpenAICompatibleAdapter({ baseURL, apiKey, apiKeyEnv, headers = {} }) {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        baseURL,
+        // The SDK insists on a key; servers without auth ignore it
+        apiKey: apiKey || (apiKeyEnv ? requireApiKey(apiKeyEnv) : 'not-needed'),
+        defaultHeaders: headers,
+        maxRetries: 0,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai-compatible',
+    label: `OpenAI-compatible endpoint (${baseURL})`,
+
+    complete: async ({ model, messages, json = false, params = {} }) => {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        ...toOpenAIParams(params),
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      });
+      return fromOpenAICompletion(completion);
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleAdapter };
@@ -0,0 +1,41 @@
+// OpenRouter adapter - one OpenAI-compatible API in front of every provider
+const OpenAI = require('openai');
+const { requireApiKey, fromOpenAICompletion, toOpenAIParams } = require('./shared');
+
+function createOpenRouterAdapter() {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      const apiKey = requireApiKey('OPENROUTER_API_KEY');
+      client = new OpenAI({
+        baseURL: 'https://openrouter.ai/api/v1',
+        apiKey,
+        defaultHeaders: {
+          'HTTP-Referer': 'https://simpleevals.com', // Your site URL
+          'X-Title': 'SimpleEvals', // Your site name
+          'Authorization': `Bearer ${apiKey}`, // Explicitly add as Bearer token
+        },
+        maxRetries: 0, // Retries are handled by withRetry so attempts can be recorded
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openrouter',
+    label: 'OpenRouter',
+
+    complete: async ({ model, messages, json = false, params = {} }) => {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        ...toOpenAIParams(params),
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      });
+      return fromOpenAICompletion(completion);
+    },
+  };
+}
+
+module.exports = { createOpenRouterAdapter };
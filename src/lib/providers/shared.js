@@ -0,0 +1,41 @@
+// Helpers shared by the provider adapters
+
+/**
+ * Reads a provider API key from the environment.
+ *
+ * @param {string} envName - The environment variable holding the key.
+ * @returns {string} The key.
+ * @throws {Error} With code 'missing_api_key' when the variable is not set.
+ */
+function requireApiKey(envName) {
+  const key = process.env[envName];
+  if (!key) {
+    const error = new Error(`${envName} is not set`);
+    error.code = 'missing_api_key';
+    throw error;
+  }
+  return key;
+}
+
+// Normalize an OpenAI-style chat completion to the adapter result shape
+function fromOpenAICompletion(completion) {
+  return {
+    content: completion.choices[0].message.content,
+    usage: toUsage(completion.usage && completion.usage.prompt_tokens, completion.usage && completion.usage.completion_tokens),
+  };
+}
+
+// Token counts in the adapter result shape, or null when the provider didn't report them
+function toUsage(promptTokens, completionTokens) {
+  if (typeof promptTokens !== 'number' && typeof completionTokens !== 'number') return null;
+  return { prompt_tokens: promptTokens || 0, completion_tokens: completionTokens || 0 };
+}
+
+// Generation params use the chat-completions names, so they pass through unchanged
+function toOpenAIParams({ temperature, top_p, max_tokens, seed, stop } = {}) {
+  const params = { temperature, top_p, max_tokens, seed, stop };
+  Object.keys(params).forEach((name) => params[name] === undefined && delete params[name]);
+  return params;
+}
+
+module.exports = { requireApiKey, fromOpenAICompletion, toOpenAIParams, toUsage };
@@ -0,0 +1,111 @@
+// Retry with exponential backoff for provider calls
+const DEFAULT_MAX_RETRIES = parseInt(process.env.MODEL_MAX_RETRIES, 10) >= 0
+  ? parseInt(process.env.MODEL_MAX_RETRIES, 10)
+  : 3;
+const DEFAULT_BASE_DELAY_MS = parseInt(process.env.MODEL_RETRY_BASE_MS, 10) || 500;
+const DEFAULT_MAX_DELAY_MS = parseInt(process.env.MODEL_RETRY_MAX_MS, 10) || 8000;
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'UND_ERR_SOCKET'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+// Provider messages for refused content. Gemini reports "... blocked due to SAFETY"; a bare
+// "safety" would also match unrelated errors, so only these phrasings count.
+const CONTENT_POLICY_PATTERN = /moderation|flagged|content policy|content_policy|blocked due to safety|safety (?:settings|filters?|system)/;
+
+/**
+ * Classifies an error thrown by a provider SDK so we know whether to retry it.
+ *
+ * @param {Error} error - Error from the OpenAI/Anthropic/Gemini SDKs or the network layer.
+ * @returns {{ errorClass: string, retryable: boolean, status: number|null }}
+ *   errorClass is one of 'rate_limit', 'server_error', 'network', 'timeout' (retryable) or
+ *   'auth', 'invalid_model', 'content_policy', 'bad_request', 'unknown' (not retryable).
+ */
+function classifyError(error) {
+  const status = error.status || (error.response && error.response.status) || null;
+  const code = error.code || (error.cause && error.cause.code) || null;
+  const message = String(error.message || '').toLowerCase();
+
+  const result = (errorClass, retryable) => ({ errorClass, retryable, status });
+
+  if (CONTENT_POLICY_PATTERN.test(message)) {
+    return result('content_policy', false);
+  }
+  if (status === 429 || code === 'rate_limit_exceeded') {
+    return result('rate_limit', true);
+  }
+  if (status === 401 || status === 403 || code === 'missing_api_key') {
+    return result('auth', false);
+  }
+  if (status === 404 || /not a valid model|model.*not found|no endpoints found/.test(message)) {
+    return result('invalid_model', false);
+  }
+  if (status === 408 || TIMEOUT_ERROR_CODES.includes(code) || error.name === 'APIConnectionTimeoutError' || /timed out|timeout/.test(message)) {
+    return result('timeout', true);
+  }
+  if (status >= 500) {
+    return result('server_error', true);
+  }
+  if (status >= 400) {
+    return result('bad_request', false);
+  }
+  if (NETWORK_ERROR_CODES.includes(code) || error.name === 'APIConnectionError' || /socket hang up|connection error|fetch failed|network/.test(message)) {
+    return result('network', true);
+  }
+  return result('unknown', false);
+}
+
+// Full-jitter exponential backoff, honouring Retry-After when the provider sends one
+function getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const retryAfterSeconds = parseFloat(retryAfter);
+  if (!Number.isNaN(retryAfterSeconds) && retryAfterSeconds >= 0) {
+    return Math.min(retryAfterSeconds * 1000, maxDelayMs);
+  }
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Runs an async call, retrying retryable errors with exponential backoff and jitter.
+ *
+ * @param {Function} call - The async call to make. Receives the attempt number (1-based).
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries after the first attempt (default MODEL_MAX_RETRIES or 3).
+ * @param {number} [options.baseDelayMs] - Backoff base delay (default MODEL_RETRY_BASE_MS or 500).
+ * @param {number} [options.maxDelayMs] - Backoff ceiling (default MODEL_RETRY_MAX_MS or 8000).
+ * @param {string} [options.label] - Prefix for log lines.
+ * @returns {Promise<{ value: *, attempts: number }>} The call's result and how many attempts it took.
+ * @throws {Error} The last error, with `attempts`, `errorClass` and `retryable` set on it.
+ */
+async function withRetry(call, options = {}) {
+  const {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    label = 'Retry',
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await call(attempt);
+      return { value, attempts: attempt };
+    } catch (error) {
+      const { errorClass, retryable } = classifyError(error);
+      error.attempts = attempt;
+      error.errorClass = errorClass;
+      error.retryable = retryable;
+
+      if (!retryable || attempt > maxRetries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, baseDelayMs, maxDelayMs);
+      console.warn(`[${label}] Attempt ${attempt} failed (${errorClass}): ${error.message}. Retrying in ${delay}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { classifyError, withRetry };
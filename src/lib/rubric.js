@@ -0,0 +1,178 @@
+// Multi-criterion rubric scoring for the LLM judge
+
+// Share of the weighted maximum a response needs to count as correct, unless the rubric sets one
+const DEFAULT_THRESHOLD = 0.7;
+
+const PASS_FAIL = 'pass_fail';
+
+/**
+ * Validates a rubric and fills in defaults.
+ *
+ * @param {Object} rubric
+ * @param {Object[]} rubric.criteria - [{ name, description, weight, scale }]. `scale` is
+ *   { min, max } for a numeric score or 'pass_fail'; `weight` defaults to 1.
+ * @param {number} [rubric.threshold] - Weighted score (0-1) at or above which a response is
+ *   correct (default 0.7).
+ * @returns {{ config: Object|null, errors: string[] }} config is the normalized rubric.
+ */
+function validateRubric(rubric) {
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+    return { config: null, errors: ['rubric must be an object'] };
+  }
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return { config: null, errors: ['rubric.criteria must be a non-empty array'] };
+  }
+
+  const errors = [];
+  const names = new Set();
+  const criteria = rubric.criteria.map((criterion, index) => {
+    const label = `rubric.criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    const { name, description = '', weight = 1, scale = { min: 0, max: 5 } } = criterion;
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      errors.push(`${label}.name must use only letters, digits, '-' and '_'`);
+    } else if (names.has(name)) {
+      errors.push(`${label}.name "${name}" is used more than once`);
+    }
+    names.add(name);
+
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      errors.push(`${label}.weight must be a positive number`);
+    }
+    if (scale !== PASS_FAIL) {
+      const valid = scale && Number.isInteger(scale.min) && Number.isInteger(scale.max) && scale.max > scale.min;
+      if (!valid) {
+        errors.push(`${label}.scale must be "${PASS_FAIL}" or { min, max } with integer bounds and max > min`);
+      }
+    }
+
+    return {
+      name,
+      description: String(description),
+      weight,
+      scale: scale === PASS_FAIL ? PASS_FAIL : { min: scale && scale.min, max: scale && scale.max },
+    };
+  });
+
+  const threshold = rubric.threshold === undefined ? DEFAULT_THRESHOLD : rubric.threshold;
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    errors.push('rubric.threshold must be a number between 0 and 1');
+  }
+
+  return { config: errors.length > 0 ? null : { criteria, threshold }, errors };
+}
+
+const describeScale = (scale) => (scale === PASS_FAIL ? 'pass/fail' : `${scale.min}-${scale.max}`);
+
+/**
+ * Builds the judge prompt for a rubric. The criteria are listed as "- name (scale): description".
+ *
+ * @param {Object} rubric - A rubric from validateRubric.
+ * @param {Object} values - { question, referenceAnswer, modelResponse }.
+ * @returns {string} The prompt.
+ */
+function buildRubricPrompt(rubric, { question, referenceAnswer, modelResponse }) {
+  const criteria = rubric.criteria
+    .map((criterion) => `- ${criterion.name} (${describeScale(criterion.scale)})${criterion.description ? `: ${criterion.description}` : ''}`)
+    .join('\n');
+  const example = rubric.criteria
+    .map((criterion) => `    "${criterion.name}": { "score": ${criterion.scale === PASS_FAIL ? 'true/false' : `${criterion.scale.min}-${criterion.scale.max}`}, "reasoning": "..." }`)
+    .join(',\n');
+
+  return `
+You are a precise and objective evaluator scoring a model's answer to a user question against a rubric, using the provided reference answer as ground truth.
+
+[QUESTION]
+${question}
+
+[REFERENCE ANSWER]
+${referenceAnswer}
+
+[MODEL RESPONSE]
+${modelResponse}
+
+Evaluate the model response on each criterion of the rubric.
+
+[RUBRIC]
+${criteria}
+
+Score numeric criteria with an integer in the given range, higher being better. Score pass/fail criteria with true (pass) or false (fail).
+
+Respond with a JSON object in the following format:
+{
+  "scores": {
+${example}
+  },
+  "reasoning": "A brief overall explanation (1-2 sentences)."
+}
+`;
+}
+
+// Accept the ways judges tend to write a pass/fail score
+function parsePassFail(score) {
+  if (score === true || score === 1 || /^(pass|passed|true|yes)$/i.test(String(score))) return true;
+  if (score === false || score === 0 || /^(fail|failed|false|no)$/i.test(String(score))) return false;
+  return null;
+}
+
+/**
+ * Turns the judge's rubric verdict into a per-criterion breakdown and a weighted total.
+ *
+ * @param {Object} rubric - A rubric from validateRubric.
+ * @param {Object} verdict - The judge's JSON: { scores: { [name]: { score, reasoning } }, reasoning }.
+ * @returns {Object} { is_correct, score, reasoning, criteria: [{ name, score, scale, normalized, weight, reasoning }] },
+ *   where score is the weighted mean of the normalized (0-1) criterion scores.
+ * @throws {Error} If a criterion is missing or scored outside its scale.
+ */
+function scoreRubric(rubric, verdict) {
+  const scores = (verdict && verdict.scores) || {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  const criteria = rubric.criteria.map((criterion) => {
+    const entry = scores[criterion.name];
+    const raw = entry && typeof entry === 'object' ? entry.score : entry;
+    let score;
+    let normalized;
+
+    if (criterion.scale === PASS_FAIL) {
+      score = parsePassFail(raw);
+      if (score === null) {
+        throw new Error(`Judge gave no pass/fail score for ${criterion.name}`);
+      }
+      normalized = score ? 1 : 0;
+    } else {
+      score = Number(raw);
+      const { min, max } = criterion.scale;
+      if (raw === null || raw === undefined || Number.isNaN(score) || score < min || score > max) {
+        throw new Error(`Judge score for ${criterion.name} is not in ${min}-${max}: ${JSON.stringify(raw)}`);
+      }
+      normalized = (score - min) / (max - min);
+    }
+
+    weightedSum += normalized * criterion.weight;
+    totalWeight += criterion.weight;
+    return {
+      name: criterion.name,
+      score,
+      scale: criterion.scale,
+      normalized,
+      weight: criterion.weight,
+      reasoning: entry && typeof entry === 'object' ? entry.reasoning || null : null,
+    };
+  });
+
+  const total = weightedSum / totalWeight;
+  return {
+    is_correct: total >= rubric.threshold,
+    score: total,
+    reasoning: (verdict && verdict.reasoning) || null,
+    criteria,
+  };
+}
+
+module.exports = { DEFAULT_THRESHOLD, validateRubric, buildRubricPrompt, scoreRubric };
@@ -0,0 +1,71 @@
+// Run history: reruns of question×model pairs replace a result but keep the earlier attempts
+
+/**
+ * Starts a new run on a set. The first rerun also records the original run as run 1.
+ *
+ * @param {Object} evaluationSet - The set being rerun.
+ * @param {Object} info - What the run covers: { questions, models, failedOnly, job_id }.
+ * @returns {Object} The run entry, { run, ...info, created_at }, added to results.runs.
+ */
+function startRun(evaluationSet, info) {
+  const results = evaluationSet.results || {};
+  const runs = results.runs || [{ run: 1, created_at: evaluationSet.created_at || evaluationSet.timestamp || null }];
+
+  const entry = { run: runs.length + 1, ...info, created_at: new Date().toISOString() };
+  evaluationSet.results = { ...results, runs: [...runs, entry] };
+  return entry;
+}
+
+// Finds a question's result for a model by registry key, falling back to the display name
+function findResultIndex(question, modelName) {
+  return (question.results || []).findIndex((result) => result && (result.model_key || result.model) === modelName);
+}
+
+/**
+ * Stores a rerun's result in its cell. The result it replaces, with its verdicts and judging
+ * passes, moves to the new result's `previous_runs`; a model new to the question is appended.
+ *
+ * @param {Object} question - An entry from the set's questions.
+ * @param {string} modelName - The model's registry key.
+ * @param {Object} result - The new result.
+ * @param {number} run - The run number.
+ * @returns {Object} The stored result, { ...result, run, previous_runs }.
+ */
+function recordRun(question, modelName, result, run) {
+  question.results = question.results || [];
+  const index = findResultIndex(question, modelName);
+
+  if (index === -1) {
+    const stored = { ...result, run, previous_runs: [] };
+    question.results.push(stored);
+    question.models = { ...(question.models || {}), [modelName]: true };
+    return stored;
+  }
+
+  const { previous_runs: previousRuns = [], ...previous } = question.results[index];
+  const stored = { ...result, run, previous_runs: [...previousRuns, { run: 1, ...previous }] };
+  question.results[index] = stored;
+  return stored;
+}
+
+/**
+ * Copies a set without the earlier attempts of its results, for clients that only show the latest.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @returns {Object} A shallow copy whose results have no `previous_runs`.
+ */
+function withoutRunHistory(evaluationSet) {
+  return {
+    ...evaluationSet,
+    questions: (evaluationSet.questions || []).map((question) => ({
+      ...question,
+      results: (question.results || []).map((result) => {
+        if (!result || !result.previous_runs) return result;
+        const { previous_runs: previousRuns, ...latest } = result;
+        return latest;
+      }),
+    })),
+  };
+}
+
+module.exports = { startRun, findResultIndex, recordRun, withoutRunHistory };
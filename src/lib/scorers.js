@@ -0,0 +1,254 @@
+// Deterministic scorers that grade a response without calling an LLM judge.
+//
+// A question picks one with `scorer`, either a name ('exact') or an object with arguments
+// ({ type: 'regex', pattern: '^4$' }). Scorers compare against the question's reference answer
+// unless their arguments say otherwise.
+
+// Regex scorers run user-supplied patterns on the request thread, so patterns are kept short and
+// simple and only the start of a long response is searched
+const MAX_REGEX_PATTERN_LENGTH = 200;
+const MAX_REGEX_INPUT_LENGTH = 20000;
+
+// Quantifiers that repeat a variable number of times: *, + and {n,} or {n,m}
+const isRepeat = (pattern, index) => /^(?:[*+]|\{\d+,\d*\})/.test(pattern.slice(index));
+
+// True when a quantified group itself contains a quantifier, like (a+)+ or (\w*\s?)*. Such
+// patterns can backtrack exponentially on text that almost matches (the "star height" check
+// safe-regex does).
+function hasNestedQuantifier(pattern) {
+  const groups = []; // Per open group: whether it contains a quantifier
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const quantified = groups.pop();
+      if (quantified && isRepeat(pattern, index + 1)) return true;
+      if (quantified && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (groups.length > 0 && isRepeat(pattern, index)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+const normalizeText = (text) => String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const NUMBER_PATTERN = /-?\d[\d,]*(?:\.\d+)?(?:e[-+]?\d+)?|-?\.\d+/gi;
+
+// The last number in a text, so "The answer is 4." and "2 + 2 = 4" both read as 4
+function lastNumber(text) {
+  const matches = String(text ?? '').match(NUMBER_PATTERN);
+  if (!matches) return null;
+  const value = parseFloat(matches[matches.length - 1].replace(/,/g, ''));
+  return Number.isFinite(value) ? value : null;
+}
+
+// Parse JSON, tolerating code fences or prose around a single object or array
+function parseJsonLoosely(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    const match = /[[{][\s\S]*[\]}]/.exec(String(text ?? ''));
+    if (!match) return null;
+    try {
+      return { value: JSON.parse(match[0]) };
+    } catch (innerError) {
+      return null;
+    }
+  }
+}
+
+// Structural equality that ignores object key order
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+const isKeywordList = (keywords) => Array.isArray(keywords) && keywords.length > 0 && keywords.every((keyword) => typeof keyword === 'string' && keyword.length > 0);
+
+const matchKeywords = (scorer, response) => {
+  const prepare = scorer.caseSensitive ? (text) => String(text) : normalizeText;
+  const haystack = prepare(response);
+  return scorer.keywords.map((keyword) => ({ keyword, found: haystack.includes(prepare(keyword)) }));
+};
+
+// Each scorer validates its arguments (against the question's reference answer where it is
+// parsed) and grades a response, returning { is_correct, reasoning }
+const SCORERS = {
+  exact: {
+    validate: () => [],
+    score: (scorer, response, referenceAnswer) => {
+      const isCorrect = String(response).trim() === String(referenceAnswer).trim();
+      return { is_correct: isCorrect, reasoning: isCorrect ? 'Exact match with the reference answer.' : 'Does not exactly match the reference answer.' };
+    },
+  },
+
+  normalized: {
+    validate: () => [],
+    score: (scorer, response, referenceAnswer) => {
+      const isCorrect = normalizeText(response) === normalizeText(referenceAnswer);
+      return {
+        is_correct: isCorrect,
+        reasoning: isCorrect
+          ? 'Matches the reference answer ignoring case and whitespace.'
+          : 'Does not match the reference answer, even ignoring case and whitespace.',
+      };
+    },
+  },
+
+  regex: {
+    validate: (scorer, label) => {
+      if (typeof scorer.pattern !== 'string' || scorer.pattern.length === 0) {
+        return [`${label}.pattern must be a non-empty string`];
+      }
+      if (scorer.pattern.length > MAX_REGEX_PATTERN_LENGTH) {
+        return [`${label}.pattern can be at most ${MAX_REGEX_PATTERN_LENGTH} characters`];
+      }
+      if (hasNestedQuantifier(scorer.pattern)) {
+        return [`${label}.pattern has a quantified group containing another quantifier, which can take exponential time`];
+      }
+      try {
+        new RegExp(scorer.pattern, scorer.flags || '');
+        return [];
+      } catch (error) {
+        return [`${label}.pattern is not a valid regular expression: ${error.message}`];
+      }
+    },
+    score: (scorer, response) => {
+      const isCorrect = new RegExp(scorer.pattern, scorer.flags || '').test(String(response).slice(0, MAX_REGEX_INPUT_LENGTH));
+      return { is_correct: isCorrect, reasoning: `${isCorrect ? 'Matches' : 'Does not match'} /${scorer.pattern}/${scorer.flags || ''}.` };
+    },
+  },
+
+  contains_all: {
+    validate: (scorer, label) => (isKeywordList(scorer.keywords) ? [] : [`${label}.keywords must be a non-empty array of strings`]),
+    score: (scorer, response) => {
+      const missing = matchKeywords(scorer, response).filter((match) => !match.found).map((match) => match.keyword);
+      return {
+        is_correct: missing.length === 0,
+        reasoning: missing.length === 0 ? 'Contains every keyword.' : `Missing keywords: ${missing.join(', ')}.`,
+      };
+    },
+  },
+
+  contains_any: {
+    validate: (scorer, label) => (isKeywordList(scorer.keywords) ? [] : [`${label}.keywords must be a non-empty array of strings`]),
+    score: (scorer, response) => {
+      const found = matchKeywords(scorer, response).filter((match) => match.found).map((match) => match.keyword);
+      return {
+        is_correct: found.length > 0,
+        reasoning: found.length > 0 ? `Contains: ${found.join(', ')}.` : 'Contains none of the keywords.',
+      };
+    },
+  },
+
+  numeric: {
+    validate: (scorer, label, referenceAnswer) => {
+      const errors = [];
+      if (scorer.expected === undefined && lastNumber(referenceAnswer) === null) {
+        errors.push(`${label} needs a reference answer containing a number, or an expected value`);
+      }
+      if (scorer.tolerance !== undefined && !(typeof scorer.tolerance === 'number' && scorer.tolerance >= 0)) {
+        errors.push(`${label}.tolerance must be a non-negative number`);
+      }
+      if (scorer.relativeTolerance !== undefined && !(typeof scorer.relativeTolerance === 'number' && scorer.relativeTolerance >= 0)) {
+        errors.push(`${label}.relativeTolerance must be a non-negative number`);
+      }
+      if (scorer.expected !== undefined && !Number.isFinite(scorer.expected)) {
+        errors.push(`${label}.expected must be a number`);
+      }
+      return errors;
+    },
+    score: (scorer, response, referenceAnswer) => {
+      const expected = scorer.expected !== undefined ? scorer.expected : lastNumber(referenceAnswer);
+      const actual = lastNumber(response);
+      if (expected === null) {
+        return { is_correct: null, reasoning: 'The reference answer contains no number.' };
+      }
+      if (actual === null) {
+        return { is_correct: false, reasoning: 'The response contains no number.' };
+      }
+
+      const allowed = Math.max(scorer.tolerance || 0, (scorer.relativeTolerance || 0) * Math.abs(expected));
+      const difference = Math.abs(actual - expected);
+      const isCorrect = difference <= allowed;
+      return { is_correct: isCorrect, reasoning: `Got ${actual}, expected ${expected} (±${allowed}).` };
+    },
+  },
+
+  json_equal: {
+    validate: (scorer, label, referenceAnswer) => (scorer.expected === undefined && !parseJsonLoosely(referenceAnswer)
+      ? [`${label} needs a reference answer that is valid JSON, or an expected value`]
+      : []),
+    score: (scorer, response, referenceAnswer) => {
+      const expected = scorer.expected !== undefined ? { value: scorer.expected } : parseJsonLoosely(referenceAnswer);
+      if (!expected) {
+        return { is_correct: null, reasoning: 'The reference answer is not valid JSON.' };
+      }
+      const actual = parseJsonLoosely(response);
+      if (!actual) {
+        return { is_correct: false, reasoning: 'The response is not valid JSON.' };
+      }
+      const isCorrect = deepEqual(actual.value, expected.value);
+      return { is_correct: isCorrect, reasoning: isCorrect ? 'The JSON equals the reference answer.' : 'The JSON differs from the reference answer.' };
+    },
+  },
+};
+
+/**
+ * Normalizes a question's scorer setting to an object.
+ *
+ * @param {string|Object} scorer - A scorer name or { type, ...arguments }.
+ * @returns {Object} { type, ...arguments }.
+ */
+function toScorerConfig(scorer) {
+  return typeof scorer === 'string' ? { type: scorer } : scorer;
+}
+
+/**
+ * Validates a question's scorer setting.
+ *
+ * @param {string|Object} scorer - A scorer name or { type, ...arguments }.
+ * @param {string} [label] - Prefix for error messages, e.g. 'questions[2].scorer'.
+ * @param {string} [referenceAnswer] - The question's reference answer.
+ * @returns {string[]} Error messages; empty when the scorer is valid.
+ */
+function validateScorer(scorer, label = 'scorer', referenceAnswer = '') {
+  const config = toScorerConfig(scorer);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${label} must be a scorer name or an object with a type`];
+  }
+  if (!SCORERS[config.type]) {
+    return [`${label}.type must be one of: ${Object.keys(SCORERS).join(', ')}`];
+  }
+  return SCORERS[config.type].validate(config, label, referenceAnswer);
+}
+
+/**
+ * Grades a response with a programmatic scorer.
+ *
+ * @param {string|Object} scorer - A validated scorer setting.
+ * @param {string} response - The model response.
+ * @param {string} referenceAnswer - The question's reference answer.
+ * @returns {{ is_correct: boolean|null, reasoning: string }} is_correct is null when the scorer
+ *   can't grade the question (e.g. a numeric scorer on a reference answer with no number).
+ */
+function runScorer(scorer, response, referenceAnswer) {
+  const config = toScorerConfig(scorer);
+  return SCORERS[config.type].score(config, response ?? '', referenceAnswer ?? '');
+}
+
+module.exports = { SCORER_NAMES: Object.keys(SCORERS), toScorerConfig, validateScorer, runScorer };
@@ -0,0 +1,184 @@
+// Paired significance tests between two models graded on the same questions of a set
+const { getOutcome } = require('./summary');
+const { percentile } = require('./stats');
+
+const DEFAULT_BOOTSTRAP_SAMPLES = 2000;
+const MAX_BOOTSTRAP_SAMPLES = 20000;
+// Below this many discordant pairs McNemar's test uses the exact binomial distribution
+const EXACT_MCNEMAR_BELOW = 25;
+
+// Complementary error function (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+function erfc(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const value = poly * Math.exp(-x * x);
+  return x >= 0 ? value : 2 - value;
+}
+
+/**
+ * McNemar's test on the discordant pairs of two paired binary outcomes.
+ *
+ * @param {number} onlyA - Questions only model A got right.
+ * @param {number} onlyB - Questions only model B got right.
+ * @returns {{ method: string, statistic: number|null, p_value: number }} method is 'exact' (two-sided
+ *   binomial) for few discordant pairs, otherwise 'chi_square' with continuity correction.
+ */
+function mcnemarTest(onlyA, onlyB) {
+  const n = onlyA + onlyB;
+  if (n === 0) return { method: 'exact', statistic: null, p_value: 1 };
+
+  if (n < EXACT_MCNEMAR_BELOW) {
+    // P(X <= min) for X ~ Binomial(n, 0.5), summed in log space, doubled for a two-sided test
+    let logChoose = 0;
+    let tail = 0;
+    for (let k = 0; k <= Math.min(onlyA, onlyB); k += 1) {
+      if (k > 0) logChoose += Math.log(n - k + 1) - Math.log(k);
+      tail += Math.exp(logChoose - n * Math.LN2);
+    }
+    return { method: 'exact', statistic: null, p_value: Math.min(1, 2 * tail) };
+  }
+
+  const statistic = (Math.abs(onlyA - onlyB) - 1) ** 2 / n;
+  // The chi-square distribution with one degree of freedom: P(X > s) = erfc(sqrt(s / 2))
+  return { method: 'chi_square', statistic, p_value: erfc(Math.sqrt(statistic / 2)) };
+}
+
+// Small seeded PRNG (mulberry32) so the same set always gives the same bootstrap interval
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap interval for the accuracy difference (A - B), resampling questions.
+ *
+ * @param {Array<{ a: boolean, b: boolean }>} pairs - Each model's verdict on a shared question.
+ * @param {Object} [options]
+ * @param {number} [options.samples] - Bootstrap resamples (default 2000).
+ * @param {number} [options.confidence] - Interval level (default 0.95).
+ * @param {number} [options.seed] - PRNG seed (default 1).
+ * @returns {{ samples: number, lower: number, upper: number }|null} Null without pairs.
+ */
+function bootstrapDifference(pairs, { samples = DEFAULT_BOOTSTRAP_SAMPLES, confidence = 0.95, seed = 1 } = {}) {
+  if (pairs.length === 0) return null;
+
+  const random = seededRandom(seed);
+  const differences = [];
+  for (let sample = 0; sample < samples; sample += 1) {
+    let total = 0;
+    for (let i = 0; i < pairs.length; i += 1) {
+      const pair = pairs[Math.floor(random() * pairs.length)];
+      total += (pair.a ? 1 : 0) - (pair.b ? 1 : 0);
+    }
+    differences.push(total / pairs.length);
+  }
+  differences.sort((x, y) => x - y);
+
+  const alpha = 1 - confidence;
+  return {
+    samples,
+    lower: percentile(differences, (alpha / 2) * 100),
+    upper: percentile(differences, (1 - alpha / 2) * 100),
+  };
+}
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+const formatPoints = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+const formatP = (value) => (value < 0.001 ? '< 0.001' : `= ${value.toFixed(3)}`);
+
+// A sentence or two a reader can act on without knowing the tests
+function describeComparison(comparison, confidence) {
+  const { model_a: a, model_b: b, paired_questions: n, mcnemar, bootstrap, significant } = comparison;
+  if (n === 0) {
+    return `No question was graded for both ${a.model} and ${b.model}, so they can't be compared.`;
+  }
+
+  const interval = `The ${Math.round(confidence * 100)}% bootstrap interval for the difference is ${formatPoints(bootstrap.lower)} to ${formatPoints(bootstrap.upper)} points.`;
+  if (a.correct === b.correct) {
+    return `${a.model} and ${b.model} got the same number of the ${n} shared questions right (${formatPercent(a.accuracy)}). ${interval}`;
+  }
+
+  const [better, worse] = a.correct > b.correct ? [a, b] : [b, a];
+  const scores = `${formatPercent(better.accuracy)} vs ${formatPercent(worse.accuracy)} on ${n} shared questions`;
+  if (significant) {
+    return `${better.model} is significantly more accurate than ${worse.model} (${scores}, McNemar p ${formatP(mcnemar.p_value)}). ${interval}`;
+  }
+  return `${better.model} scored higher than ${worse.model} (${scores}), but the gap is not statistically significant `
+    + `(McNemar p ${formatP(mcnemar.p_value)}) and could be chance. ${interval}`;
+}
+
+/**
+ * Compares two models on the questions of a set that were graded for both.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @param {string} modelA - Model key or display name.
+ * @param {string} modelB - Model key or display name.
+ * @param {Object} [options]
+ * @param {number} [options.confidence] - Significance and interval level (default 0.95).
+ * @param {number} [options.samples] - Bootstrap resamples (default 2000).
+ * @returns {Object|null} { model_a, model_b, paired_questions, excluded_questions, contingency,
+ *   accuracy_difference, mcnemar, bootstrap, significant, verdict }; null when either model isn't in
+ *   the set. model_a/model_b are { model, model_key, correct, accuracy } over the paired questions.
+ */
+function compareModels(evaluationSet, modelA, modelB, { confidence = 0.95, samples = DEFAULT_BOOTSTRAP_SAMPLES } = {}) {
+  const matches = (result, name) => result && (result.model_key === name || result.model === name);
+  const pairs = [];
+  let excluded = 0;
+  let resultA = null;
+  let resultB = null;
+
+  (evaluationSet.questions || []).forEach((question) => {
+    const a = (question.results || []).find((result) => matches(result, modelA));
+    const b = (question.results || []).find((result) => matches(result, modelB));
+    resultA = resultA || a;
+    resultB = resultB || b;
+    if (!a || !b) return;
+
+    const outcomes = [getOutcome(a), getOutcome(b)];
+    // Errored, pending or unjudged answers on either side leave the question out of the pairing
+    if (!outcomes.every((outcome) => outcome === 'correct' || outcome === 'incorrect')) {
+      excluded += 1;
+      return;
+    }
+    pairs.push({ a: outcomes[0] === 'correct', b: outcomes[1] === 'correct' });
+  });
+  if (!resultA || !resultB) return null;
+
+  const contingency = { both_correct: 0, only_a_correct: 0, only_b_correct: 0, both_incorrect: 0 };
+  pairs.forEach(({ a, b }) => {
+    const cell = a && b ? 'both_correct' : a ? 'only_a_correct' : b ? 'only_b_correct' : 'both_incorrect';
+    contingency[cell] += 1;
+  });
+
+  const describeModel = (result, correct) => ({
+    model: result.model,
+    model_key: result.model_key || result.model,
+    correct,
+    accuracy: pairs.length > 0 ? correct / pairs.length : null,
+  });
+  const correctA = contingency.both_correct + contingency.only_a_correct;
+  const correctB = contingency.both_correct + contingency.only_b_correct;
+  const mcnemar = mcnemarTest(contingency.only_a_correct, contingency.only_b_correct);
+
+  const comparison = {
+    model_a: describeModel(resultA, correctA),
+    model_b: describeModel(resultB, correctB),
+    paired_questions: pairs.length,
+    excluded_questions: excluded,
+    contingency,
+    accuracy_difference: pairs.length > 0 ? (correctA - correctB) / pairs.length : null,
+    mcnemar,
+    bootstrap: bootstrapDifference(pairs, { samples, confidence }),
+    significant: pairs.length > 0 && mcnemar.p_value < 1 - confidence,
+  };
+  comparison.verdict = describeComparison(comparison, confidence);
+  return comparison;
+}
+
+module.exports = { MAX_BOOTSTRAP_SAMPLES, mcnemarTest, bootstrapDifference, compareModels };
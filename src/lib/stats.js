@@ -0,0 +1,141 @@
+// Aggregate statistics for an evaluation set: accuracy with confidence intervals, latency percentiles
+const { summarizeSet, getOutcome } = require('./summary');
+const { isAutomaticEvaluation } = require('./judgingPasses');
+
+// Two-sided z-scores for the confidence levels a client can ask for
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+const DEFAULT_CONFIDENCE = 0.95;
+
+/**
+ * Wilson score interval for a proportion, which stays inside [0, 1] and behaves at small counts.
+ *
+ * @param {number} successes - e.g. correct answers.
+ * @param {number} total - e.g. graded answers.
+ * @param {number} [confidence] - One of the Z_SCORES levels (default 0.95).
+ * @returns {{ lower: number, upper: number }|null} Null when total is 0.
+ */
+function wilsonInterval(successes, total, confidence = DEFAULT_CONFIDENCE) {
+  if (total === 0) return null;
+
+  const z = Z_SCORES[confidence];
+  const p = successes / total;
+  const denominator = 1 + (z * z) / total;
+  const center = (p + (z * z) / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total))) / denominator;
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+/**
+ * Percentile by linear interpolation between the closest ranks.
+ *
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} p - The percentile, 0-100.
+ * @returns {number|null} Null for an empty list.
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// p50/p90/p99 of a list of durations in milliseconds
+function latencyStats(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+  };
+}
+
+// The judge's verdict on a result, which a manual one may have replaced; null for scorers and
+// results the judge didn't grade
+function judgeEvaluation(result) {
+  const evaluation = isAutomaticEvaluation(result.evaluation) ? result.evaluation : result.auto_evaluation;
+  if (!evaluation || !isAutomaticEvaluation(evaluation)) return null;
+  return String(evaluation.evaluation_type).startsWith('scorer:') ? null : evaluation;
+}
+
+/**
+ * Computes a set's statistics, per model and overall.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @param {Object} [options]
+ * @param {number} [options.confidence] - Confidence level of the intervals (default 0.95).
+ * @returns {Object} { confidence, models: { [model_key]: stats }, overall: stats }, where stats is the
+ *   summarizeSet counts plus accuracy_ci, latency: { response, judge } ({ count, p50, p90, p99 } in
+ *   ms) and evaluation_sources: { automatic, manual } ({ total, correct, incorrect, accuracy,
+ *   accuracy_ci }) for the graded results whose effective verdict came from each source.
+ */
+function summarizeStats(evaluationSet, { confidence = DEFAULT_CONFIDENCE } = {}) {
+  const summary = summarizeSet(evaluationSet);
+  const emptyTimings = () => ({ response: [], judge: [] });
+  const emptySources = () => ({
+    automatic: { total: 0, correct: 0, incorrect: 0 },
+    manual: { total: 0, correct: 0, incorrect: 0 },
+  });
+
+  // Per model key; the aggregate is kept apart so a model keyed "overall" can't mix into it
+  const timings = {};
+  const sources = {};
+  const overallTimings = emptyTimings();
+  const overallSources = emptySources();
+
+  (evaluationSet.questions || []).forEach((question) => {
+    (question.results || []).forEach((result) => {
+      if (!result) return;
+      const key = result.model_key || result.model;
+      if (!timings[key]) {
+        timings[key] = emptyTimings();
+        sources[key] = emptySources();
+      }
+
+      const resultTimings = result.timings || {};
+      // Failed calls are left out: their duration is retries and timeouts, not the model's latency
+      if (result.status !== 'error' && typeof resultTimings.responseTime === 'number') {
+        [timings[key], overallTimings].forEach((entry) => entry.response.push(resultTimings.responseTime));
+      }
+      if (judgeEvaluation(result) && typeof resultTimings.evaluationTime === 'number') {
+        [timings[key], overallTimings].forEach((entry) => entry.judge.push(resultTimings.evaluationTime));
+      }
+
+      const outcome = getOutcome(result);
+      if (outcome !== 'correct' && outcome !== 'incorrect') return;
+      const source = result.evaluation.evaluation_type === 'manual' ? 'manual' : 'automatic';
+      [sources[key], overallSources].forEach((entry) => {
+        entry[source].total += 1;
+        entry[source][outcome] += 1;
+      });
+    });
+  });
+
+  const finishSource = (counts) => ({
+    ...counts,
+    accuracy: counts.total > 0 ? counts.correct / counts.total : null,
+    accuracy_ci: wilsonInterval(counts.correct, counts.total, confidence),
+  });
+  const buildStats = (counts, entryTimings = emptyTimings(), entrySources = emptySources()) => ({
+    ...counts,
+    accuracy_ci: wilsonInterval(counts.correct, counts.correct + counts.incorrect, confidence),
+    latency: {
+      response: latencyStats(entryTimings.response),
+      judge: latencyStats(entryTimings.judge),
+    },
+    evaluation_sources: {
+      automatic: finishSource(entrySources.automatic),
+      manual: finishSource(entrySources.manual),
+    },
+  });
+
+  const models = {};
+  Object.entries(summary.models).forEach(([key, counts]) => {
+    models[key] = buildStats(counts, timings[key], sources[key]);
+  });
+  return { confidence, models, overall: buildStats(summary.overall, overallTimings, overallSources) };
+}
+
+module.exports = { Z_SCORES, DEFAULT_CONFIDENCE, wilsonInterval, percentile, latencyStats, summarizeStats };
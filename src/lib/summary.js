@@ -0,0 +1,74 @@
+// Per-model accuracy summary for an evaluation set
+
+/**
+ * Buckets a stored result into correct, incorrect, pending or errored.
+ *
+ * @param {Object} result - An entry from questions[].results.
+ * @returns {string} 'errored', 'judge_error', 'pending', 'correct' or 'incorrect'.
+ */
+function getOutcome(result) {
+  if (result.status === 'error') return 'errored';
+
+  const evaluation = result.evaluation || {};
+  if (evaluation.evaluation_type === 'judge_error') return 'judge_error';
+  if (evaluation.is_correct === true) return 'correct';
+  if (evaluation.is_correct === false) return 'incorrect';
+  return 'pending';
+}
+
+/**
+ * Summarizes an evaluation set per model. Errored pairs (the model call failed) and
+ * pairs the judge could not grade are counted separately and left out of accuracy,
+ * so a provider outage doesn't read as a drop in quality.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @returns {Object} { models: { [model]: counts }, overall: counts }, where counts is
+ *   { total, correct, incorrect, pending, errored, judge_errors, needs_review, accuracy, error_rate }.
+ *   needs_review counts judge-ensemble verdicts whose votes disagreed too much to trust.
+ */
+function summarizeSet(evaluationSet) {
+  const emptyCounts = () => ({
+    total: 0,
+    correct: 0,
+    incorrect: 0,
+    pending: 0,
+    errored: 0,
+    judge_errors: 0,
+    needs_review: 0,
+  });
+  const models = {};
+  const overall = emptyCounts();
+
+  (evaluationSet.questions || []).forEach((question) => {
+    (question.results || []).forEach((result) => {
+      if (!result) return;
+
+      const key = result.model_key || result.model;
+      if (!models[key]) {
+        models[key] = { model: result.model, ...emptyCounts() };
+      }
+
+      const outcome = getOutcome(result);
+      const field = outcome === 'judge_error' ? 'judge_errors' : outcome;
+      [models[key], overall].forEach((counts) => {
+        counts.total += 1;
+        counts[field] += 1;
+        if (result.evaluation && result.evaluation.needs_review) counts.needs_review += 1;
+      });
+    });
+  });
+
+  const finish = (counts) => {
+    const graded = counts.correct + counts.incorrect;
+    counts.accuracy = graded > 0 ? counts.correct / graded : null;
+    counts.error_rate = counts.total > 0 ? counts.errored / counts.total : null;
+    return counts;
+  };
+
+  Object.values(models).forEach(finish);
+  finish(overall);
+
+  return { models, overall };
+}
+
+module.exports = { summarizeSet, getOutcome };
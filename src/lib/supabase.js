@@ -0,0 +1,13 @@
+// Shared Supabase client (service role). Null when Supabase isn't configured, e.g. for
+// offline runs with MODEL_PROVIDER=mock - sets are then kept in memory only.
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+if (!supabase) {
+  console.warn('Supabase is not configured - evaluation sets will only be kept in memory');
+}
+
+module.exports = { supabase };
@@ -0,0 +1,117 @@
+// Token usage and cost accounting for model and judge calls
+const { getPricing } = require('./models');
+
+/**
+ * Turns the token counts an adapter reported into a stored usage record with its cost.
+ *
+ * @param {Object|null} usage - { prompt_tokens, completion_tokens } from the adapter.
+ * @param {string} name - The model name or slug that was called, used to look up its price.
+ * @returns {Object|null} { prompt_tokens, completion_tokens, total_tokens, cost }, where cost is
+ *   in USD and null for unpriced models; null when the provider reported no usage.
+ */
+function recordUsage(usage, name) {
+  if (!usage) return null;
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const pricing = getPricing(name);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    cost: pricing ? (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6 : null,
+  };
+}
+
+/**
+ * Adds up the usage of several calls, e.g. the votes of a judge ensemble.
+ *
+ * @param {Array<Object|null>} usages - Usage records from recordUsage.
+ * @returns {Object|null} The combined record, with `calls` set to the number of calls it covers;
+ *   cost is null if any of them is unpriced. Null when none of the calls reported usage.
+ */
+function combineUsage(usages) {
+  const reported = usages.filter(Boolean);
+  if (reported.length === 0) return null;
+
+  return reported.reduce((total, usage) => ({
+    calls: total.calls + 1,
+    prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+    completion_tokens: total.completion_tokens + usage.completion_tokens,
+    total_tokens: total.total_tokens + usage.total_tokens,
+    cost: total.cost === null || usage.cost === null ? null : total.cost + usage.cost,
+  }), { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 });
+}
+
+/**
+ * Totals the token usage and cost of an evaluation set. Model calls are totalled per model,
+ * judge calls (including pairwise comparisons) separately, and `total` covers both. Earlier
+ * attempts of rerun cells are included.
+ *
+ * @param {Object} evaluationSet - The set with its questions[].results.
+ * @returns {Object} { models: { [model]: totals }, judge: totals, total: totals }, where totals is
+ *   { calls, prompt_tokens, completion_tokens, total_tokens, cost, unpriced_calls }. Calls that
+ *   reported no usage aren't counted; unpriced_calls counts those left out of cost.
+ */
+function summarizeUsage(evaluationSet) {
+  const emptyTotals = () => ({
+    calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost: 0,
+    unpriced_calls: 0,
+  });
+  const models = {};
+  const judge = emptyTotals();
+  const total = emptyTotals();
+
+  const add = (totals, usage) => {
+    totals.calls += usage.calls || 1;
+    totals.prompt_tokens += usage.prompt_tokens;
+    totals.completion_tokens += usage.completion_tokens;
+    totals.total_tokens += usage.total_tokens;
+    if (usage.cost === null) {
+      totals.unpriced_calls += usage.calls || 1;
+    } else {
+      totals.cost += usage.cost;
+    }
+  };
+
+  const addResult = (result) => {
+    if (result.usage) {
+      const key = result.model_key || result.model;
+      if (!models[key]) {
+        models[key] = { model: result.model, ...emptyTotals() };
+      }
+      add(models[key], result.usage);
+      add(total, result.usage);
+    }
+    // Re-judged results keep the usage of every judging pass
+    const judgeUsages = result.judge_passes
+      ? result.judge_passes.map((pass) => pass.judge_usage)
+      : [result.judge_usage];
+    judgeUsages.filter(Boolean).forEach((usage) => {
+      add(judge, usage);
+      add(total, usage);
+    });
+  };
+
+  (evaluationSet.questions || []).forEach((question) => {
+    (question.results || []).forEach((result) => {
+      if (!result) return;
+      // Earlier attempts of rerun cells were paid for too
+      [...(result.previous_runs || []), result].forEach(addResult);
+    });
+    // Pairwise comparisons are judge calls on two responses at once
+    (question.comparisons || []).forEach((comparison) => {
+      if (!comparison.judge_usage) return;
+      add(judge, comparison.judge_usage);
+      add(total, comparison.judge_usage);
+    });
+  });
+
+  return { models, judge, total };
+}
+
+module.exports = { recordUsage, combineUsage, summarizeUsage };
@@ -1,10 +1,4 @@
-const { createClient } = require('@supabase/supabase-js');
-
-// Create Supabase client for auth verification only
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const { supabase } = require('../lib/supabase');
 
 // Middleware to verify JWT token from Supabase
 const verifyAuth = async (req, res, next) => {
@@ -19,6 +13,19 @@ const verifyAuth = async (req, res, next) => {
     return next();
   }
 
+  // Without Supabase there is nothing to verify the token against. For offline runs,
+  // OFFLINE_AUTH_TOKEN can name a token that signs in as a fixed local user.
+  if (!supabase) {
+    const token = authHeader.split(' ')[1];
+    if (process.env.OFFLINE_AUTH_TOKEN && token === process.env.OFFLINE_AUTH_TOKEN) {
+      req.user = { id: 'offline-user', email: 'offline@localhost' };
+    } else {
+      console.log('Supabase is not configured - treating request as unauthenticated');
+      req.user = null;
+    }
+    return next();
+  }
+
   // Extract the token - validate token format
   const token = authHeader.split(' ')[1];
   if (!token || token.length < 20) {
@@ -85,7 +92,41 @@ const requireAuth = async (req, res, next) => {
   next();
 };
 
+// Admins are listed by user ID in ADMIN_USER_IDS or by email in ADMIN_EMAILS (comma-separated),
+// or have app_metadata.role = 'admin' in Supabase
+const isAdminUser = (user) => {
+  const splitList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+  return Boolean(
+    splitList(process.env.ADMIN_USER_IDS).includes(user.id) ||
+    (user.email && splitList(process.env.ADMIN_EMAILS).includes(user.email)) ||
+    (user.app_metadata && user.app_metadata.role === 'admin')
+  );
+};
+
+// Middleware to require an administrator (see isAdminUser)
+const requireAdmin = async (req, res, next) => {
+  await verifyAuth(req, res, () => {});
+
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      message: 'You must be logged in to access this resource' 
+    });
+  }
+
+  if (!isAdminUser(req.user)) {
+    return res.status(403).json({
+      error: 'Admin access required',
+      message: 'You must be an administrator to access this resource'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   verifyAuth,
-  requireAuth
+  requireAuth,
+  requireAdmin,
+  isAdminUser
 };
\ No newline at end of file
@@ -1,32 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const mvpController = require('../controllers/mvpController');
-const { AVAILABLE_MODELS } = require("../lib/models");
-const { verifyAuth, requireAuth } = require('../middleware/auth');
+const modelsController = require('../controllers/modelsController');
+const datasetsController = require('../controllers/datasetsController');
+const { verifyAuth, requireAuth, requireAdmin } = require('../middleware/auth');
+const { CONTENT_TYPE_FORMATS } = require('../lib/importer');
 
 // GET /api/mvp/demo - Demo endpoint
 router.get('/demo', (req, res) => {
   res.json({
     message: 'SimpleEvals MVP API Demo',
     endpoints: [
-      // { method: 'POST', path: '/api/mvp/evaluate', description: 'Evaluate a single question (currently under review)' },
-      { method: 'POST', path: '/api/mvp/evaluate-set', description: 'Evaluate multiple questions in batch' },
+      { method: 'POST', path: '/api/mvp/evaluate-set', description: 'Start a background job evaluating multiple questions in batch' },
+      { method: 'GET', path: '/api/mvp/jobs/:id', description: 'Get the status, progress and partial results of an evaluation job' },
+      { method: 'GET', path: '/api/mvp/jobs/:id/events', description: 'Stream the results of an evaluation job as Server-Sent Events' },
         { method: 'GET', path: '/api/mvp/models', description: 'List available models' },
+      { method: 'POST', path: '/api/mvp/models', description: 'Create a model (admin)' },
+      { method: 'PUT', path: '/api/mvp/models/:key', description: 'Update a model (admin)' },
+      { method: 'POST', path: '/api/mvp/models/:key/disable', description: 'Disable a model (admin)' },
+      { method: 'POST', path: '/api/mvp/datasets/import', description: 'Import questions from a CSV or JSONL file, optionally saving them as a dataset' },
+      { method: 'GET', path: '/api/mvp/datasets/:id', description: 'Get a saved dataset' },
+      { method: 'GET', path: '/api/mvp/leaderboard', description: 'Rank models across sets by Bradley-Terry rating (?tag=&from=&to=&scope=all|mine|public)' },
+      { method: 'GET', path: '/api/mvp/judge-prompts', description: 'List the named judge prompts' },
       { method: 'GET', path: '/api/mvp/sets', description: 'Get all evaluation sets (in-memory)' },
       { method: 'GET', path: '/api/mvp/sets/:id', description: 'Get a specific evaluation set (in-memory)' },
+      { method: 'GET', path: '/api/mvp/sets/:id/stats', description: 'Accuracy with confidence intervals, outcome counts and latency percentiles for a set' },
+      { method: 'GET', path: '/api/mvp/sets/:id/compare', description: 'Test whether the accuracy gap between two models of a set is significant (?modelA=&modelB=)' },
+      { method: 'GET', path: '/api/mvp/sets/:id/export', description: 'Download a set as CSV, JSONL or a Markdown report (?format=csv|jsonl|md)' },
+      { method: 'POST', path: '/api/mvp/sets/:id/rerun', description: 'Rerun chosen questions and models of a set, keeping earlier attempts' },
+      { method: 'POST', path: '/api/mvp/sets/:id/rejudge', description: 'Re-grade the stored responses of a set as a new judging pass' },
+      { method: 'GET', path: '/api/mvp/sets/:id/agreement', description: 'Get judge-versus-human agreement for a set' },
       { method: 'GET', path: '/api/mvp/share/:id', description: 'Get a shareable evaluation set (from Supabase)' }
     ],
     timestamp: new Date().toISOString()
   });
 });
-router.get("/models", (req, res) => { res.json(AVAILABLE_MODELS); });
+// GET /api/mvp/models - List enabled models (?includeDisabled=true for all)
+router.get("/models", modelsController.listModels);
 
-// POST /api/mvp/evaluate - Evaluate a single question
-// router.post('/evaluate', mvpController.evaluateModels); // evaluateModels is not in the new module.exports, functionality covered by evaluateSet or evaluateResponse
+// POST /api/mvp/models - Create a model
+router.post('/models', requireAdmin, modelsController.createModel);
 
-// POST /api/mvp/evaluate-set - Evaluate multiple questions in batch
+// PUT /api/mvp/models/:key - Update a model
+router.put('/models/:key', requireAdmin, modelsController.updateModel);
+
+// POST /api/mvp/models/:key/disable - Disable (and optionally deprecate) a model
+router.post('/models/:key/disable', requireAdmin, modelsController.disableModel);
+
+// Uploads get their own size limit - the global JSON parser stops at 1mb
+const parseImportBody = (req, res, next) => {
+  const parse = express.text({
+    type: ['text/csv', 'text/plain', ...Object.keys(CONTENT_TYPE_FORMATS)],
+    limit: process.env.IMPORT_BODY_LIMIT || '10mb',
+  });
+  parse(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({ error: `Could not read the upload: ${error.message}` });
+    }
+    return next();
+  });
+};
+
+// POST /api/mvp/datasets/import - Import questions from a CSV or JSONL file
+router.post('/datasets/import', requireAuth, parseImportBody, datasetsController.importDataset);
+
+// GET /api/mvp/datasets/:id - Get a saved dataset
+router.get('/datasets/:id', verifyAuth, datasetsController.getDataset);
+
+// GET /api/mvp/judge-prompts - List the named judge prompts
+router.get('/judge-prompts', mvpController.listJudgePrompts);
+
+// POST /api/mvp/evaluate-set - Evaluate multiple questions in batch (returns a job ID)
 router.post('/evaluate-set', verifyAuth, mvpController.evaluateSet);
 
+// GET /api/mvp/jobs/:id - Poll the status of an evaluate-set job
+router.get('/jobs/:id', verifyAuth, mvpController.getJob);
+
+// GET /api/mvp/jobs/:id/events - Stream an evaluate-set job as Server-Sent Events
+router.get('/jobs/:id/events', verifyAuth, mvpController.streamJob);
+
 // GET /api/mvp/sets - Get all evaluation sets (from in-memory store)
 // Currently available to all, but we track the user if authenticated
 router.get('/sets', verifyAuth, mvpController.getEvaluationSets);
@@ -34,11 +86,32 @@ router.get('/sets', verifyAuth, mvpController.getEvaluationSets);
 // GET /api/mvp/sets/:id - Get a specific evaluation set (from in-memory store)
 router.get('/sets/:id', verifyAuth, mvpController.getEvaluationSet);
 
+// GET /api/mvp/sets/:id/agreement - Judge-versus-human agreement per set, model and reviewer
+router.get('/sets/:id/agreement', verifyAuth, mvpController.getSetAgreement);
+
+// GET /api/mvp/sets/:id/stats - Accuracy confidence intervals and latency percentiles
+router.get('/sets/:id/stats', verifyAuth, mvpController.getSetStats);
+
+// GET /api/mvp/sets/:id/compare - McNemar's test and a bootstrap interval for two models
+router.get('/sets/:id/compare', verifyAuth, mvpController.compareSetModels);
+
+// GET /api/mvp/sets/:id/export - Download a set as CSV, JSONL or Markdown
+router.get('/sets/:id/export', verifyAuth, mvpController.exportSet);
+
+// GET /api/mvp/leaderboard - Model ratings across the caller's own and public sets
+router.get('/leaderboard', verifyAuth, mvpController.getLeaderboard);
+
 // GET /api/mvp/user/sets - Get evaluation sets for the authenticated user
 router.get('/user/sets', requireAuth, mvpController.getUserEvaluationSets);
 
 // GET /api/mvp/share/:id - Fetch evaluation set by ID for sharing (from Supabase)
-router.get('/share/:id', mvpController.getSharedEvaluationSet); // Was getEvaluationSetById, now uses the integrated Supabase function
+router.get('/share/:id', verifyAuth, mvpController.getSharedEvaluationSet); // Was getEvaluationSetById, now uses the integrated Supabase function
+
+// POST /api/mvp/sets/:id/rerun - Call the models again on chosen questions of a set
+router.post('/sets/:id/rerun', requireAuth, mvpController.rerunSet);
+
+// POST /api/mvp/sets/:id/rejudge - Re-grade stored responses without calling the models again
+router.post('/sets/:id/rejudge', requireAuth, mvpController.rejudgeSet);
 
 // POST /api/mvp/sets/:id/evaluate - Manually evaluate a response
 router.post('/sets/:id/evaluate', requireAuth, mvpController.manuallyEvaluateResponse);
@@ -0,0 +1,23 @@
+-- Model registry rows, loaded at startup on top of the built-in models (see src/lib/models.js).
+-- API keys are never stored: self-hosted models name an environment variable in api_key_env,
+-- and the API refuses credential headers such as Authorization or x-api-key.
+create table if not exists models (
+  key text primary key,
+  slug text not null,
+  display text not null,
+  provider text,
+  adapter text not null default 'openrouter',
+  adapter_model text,
+  base_url text,
+  api_key_env text,
+  headers jsonb,
+  pricing jsonb,
+  enabled boolean not null default true,
+  deprecated_at timestamptz,
+  deprecation_message text,
+  replaced_by text,
+  updated_at timestamptz default now()
+);
+
+-- Endpoints and headers are internal, so only the service role reads and writes the table
+alter table models enable row level security;
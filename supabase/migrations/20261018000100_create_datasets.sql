@@ -0,0 +1,19 @@
+-- Saved question datasets from CSV or JSONL imports (see src/lib/datasets.js).
+-- Datasets without a user_id are public; the rest are only for their owner.
+create table if not exists datasets (
+  id uuid primary key,
+  name text not null,
+  user_id uuid,
+  questions jsonb not null,
+  source jsonb,
+  created_at timestamptz default now()
+);
+
+create index if not exists datasets_user_id_idx on datasets (user_id);
+
+-- The API uses the service role; these policies cover direct client access
+alter table datasets enable row level security;
+
+create policy "Datasets are readable when public or owned"
+  on datasets for select
+  using (user_id is null or auth.uid() = user_id);
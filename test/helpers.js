@@ -0,0 +1,39 @@
+// Shared helpers for the integration tests
+const assert = require('assert');
+const request = require('supertest');
+
+// Poll the job endpoint until the background evaluation finishes
+const waitForJob = async (app, jobId, authToken) => {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const response = await request(app)
+      .get(`/api/mvp/jobs/${jobId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    assert.strictEqual(response.status, 200);
+    if (response.body.status === 'completed' || response.body.status === 'failed') {
+      return response.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish in time`);
+};
+
+// Collect a whole Server-Sent Events stream as text; use with .buffer(true).parse(collectText).
+// The server ends a job's stream after its `complete` or `failed` event.
+const collectText = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+};
+
+// Split a collected stream into [{ event, data }]
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter((block) => block.startsWith('event: '))
+  .map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+
+module.exports = { waitForJob, collectText, parseEvents };
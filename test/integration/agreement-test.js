@@ -0,0 +1,79 @@
+// Integration test for judge-versus-human agreement
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Judge Agreement', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let setId;
+
+  const evaluate = (questionIndex, modelName, isCorrect) => request(app)
+    .post(`/api/mvp/sets/${setId}/evaluate`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ evaluationId: setId, questionIndex, modelName, isCorrect });
+
+  before(async function() {
+    // The mock judge marks the first question correct and the second incorrect for both models
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: 'What is the capital of France?', referenceAnswer: 'Paris' }
+        ],
+        models: ['gpt41', 'claude3'],
+        setName: 'Agreement Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    setId = job.setId;
+
+    // The reviewer agrees with the judge on GPT-4.1 and disagrees on Claude
+    assert.strictEqual((await evaluate(0, 'GPT-4.1', true)).status, 200);
+    assert.strictEqual((await evaluate(0, 'Claude Sonnet 4', true)).status, 200);
+    assert.strictEqual((await evaluate(0, 'Claude Sonnet 4', false)).status, 200);
+    assert.strictEqual((await evaluate(1, 'GPT-4.1', false)).status, 200);
+    assert.strictEqual((await evaluate(1, 'Claude Sonnet 4', true)).status, 200);
+  });
+
+  it('should keep the automatic verdict next to the manual ones', async function() {
+    const response = await request(app)
+      .get(`/api/mvp/sets/${setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    const claude = response.body.questions[0].results[1];
+
+    assert.strictEqual(claude.evaluation.evaluation_type, 'manual');
+    assert.strictEqual(claude.evaluation.is_correct, false);
+    assert.strictEqual(claude.auto_evaluation.evaluation_type, 'automatic');
+    assert.strictEqual(claude.auto_evaluation.is_correct, true);
+    assert.strictEqual(claude.manual_evaluations.length, 1, 'Re-evaluating should replace the reviewer\'s earlier verdict');
+  });
+
+  it('should report agreement per set, model and reviewer', async function() {
+    const response = await request(app)
+      .get(`/api/mvp/sets/${setId}/agreement`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    assert.strictEqual(response.status, 200);
+    const { overall, models, users } = response.body;
+
+    assert.strictEqual(overall.count, 4);
+    assert.deepStrictEqual(overall.confusion, {
+      judge_correct: { human_correct: 1, human_incorrect: 1 },
+      judge_incorrect: { human_correct: 1, human_incorrect: 1 }
+    });
+    assert.strictEqual(overall.raw_agreement, 0.5);
+    assert.strictEqual(overall.kappa, 0);
+
+    assert.strictEqual(models.gpt41.raw_agreement, 1);
+    assert.strictEqual(models.gpt41.kappa, 1);
+    assert.strictEqual(models.claude3.raw_agreement, 0);
+    assert.strictEqual(models.claude3.kappa, -1);
+
+    assert.deepStrictEqual(Object.keys(users), ['offline-user']);
+    assert.strictEqual(users['offline-user'].count, 4);
+  });
+});
@@ -0,0 +1,88 @@
+// Tests for the concurrency pool, on its own and through evaluate-set
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { createPool } = require('../../src/lib/concurrency');
+
+describe('Concurrency', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  // Runs tasks through the pool and reports the most calls in flight, overall and per provider
+  const measure = async (pool, providers) => {
+    const active = { total: 0 };
+    const peak = { total: 0 };
+    await Promise.all(providers.map((provider) => pool.run(provider, async () => {
+      active.total += 1;
+      active[provider] = (active[provider] || 0) + 1;
+      peak.total = Math.max(peak.total, active.total);
+      peak[provider] = Math.max(peak[provider] || 0, active[provider]);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active.total -= 1;
+      active[provider] -= 1;
+    })));
+    return peak;
+  };
+
+  it('should cap calls in flight overall and per provider', async function() {
+    const providers = [...Array(6).fill('openai'), ...Array(6).fill('anthropic'), ...Array(6).fill('google')];
+    const peak = await measure(createPool({ globalLimit: 5, perProviderLimit: 2 }), providers);
+
+    assert.strictEqual(peak.total, 5);
+    ['openai', 'anthropic', 'google'].forEach((provider) => assert.ok(peak[provider] <= 2, `${provider} ran ${peak[provider]} at once`));
+    assert.strictEqual(peak.openai, 2);
+  });
+
+  it('should not let queued calls of a busy provider hold global slots', async function() {
+    const peak = await measure(createPool({ globalLimit: 2, perProviderLimit: 1 }), ['openai', 'openai', 'openai', 'anthropic']);
+
+    assert.strictEqual(peak.openai, 1);
+    assert.strictEqual(peak.total, 2, 'anthropic should run alongside openai');
+  });
+
+  it('should let a request lower the configured limits but not raise them', function() {
+    assert.deepStrictEqual(createPool().limits, { global: 8, perProvider: 4 });
+    assert.deepStrictEqual(createPool({ globalLimit: 2, perProviderLimit: 1 }).limits, { global: 2, perProvider: 1 });
+    assert.deepStrictEqual(createPool({ globalLimit: 100, perProviderLimit: 0 }).limits, { global: 8, perProvider: 4 });
+  });
+
+  it('should keep model order and leave slot waits out of timings', async function() {
+    const models = ['claude3', 'gemini', 'gpt41', 'gpt4o'];
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'Name a planet.', referenceAnswer: 'Mars' },
+          { question: 'Name an ocean.', referenceAnswer: 'Pacific' }
+        ],
+        models,
+        concurrency: { globalLimit: 1 },
+        setName: 'Concurrency Test'
+      });
+    assert.strictEqual(response.status, 202);
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed');
+
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    const results = setResponse.body.questions.flatMap((question) => {
+      assert.deepStrictEqual(question.results.map((result) => result.model_key), models);
+      return question.results;
+    });
+
+    // With one slot every call runs in turn, so a time that included waiting would approach the
+    // whole job's duration
+    const jobDuration = new Date(job.finished_at) - new Date(job.started_at);
+    results.forEach((result) => {
+      assert.strictEqual(typeof result.timings.responseTime, 'number');
+      assert.ok(
+        result.timings.responseTime < jobDuration / 2,
+        `responseTime ${result.timings.responseTime}ms should exclude waiting (job took ${jobDuration}ms)`
+      );
+    });
+  });
+});
@@ -0,0 +1,180 @@
+// Integration test for evaluate-set against the offline mock provider
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Evaluate Set', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let evaluationSet;
+
+  before(async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: '[mock-error:401] This call is rejected', referenceAnswer: 'Anything' }
+        ],
+        models: ['gpt41', 'claude3'],
+        setName: 'Mock Pipeline Test',
+        generationParams: { temperature: 0, seed: 7 },
+        modelParams: { claude3: { max_tokens: 256, seed: null } }
+      });
+
+    assert.strictEqual(response.status, 202);
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(job.progress, { done: 4, total: 4 });
+
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    assert.strictEqual(setResponse.status, 200);
+    evaluationSet = setResponse.body;
+  });
+
+  it('should keep questions and results in request order', function() {
+    assert.deepStrictEqual(
+      evaluationSet.questions.map(q => q.question),
+      ['What is 2+2?', '[mock-error:401] This call is rejected']
+    );
+    evaluationSet.questions.forEach(question => {
+      assert.deepStrictEqual(question.results.map(r => r.model_key), ['gpt41', 'claude3']);
+    });
+  });
+
+  it('should grade successful responses with the judge', function() {
+    evaluationSet.questions[0].results.forEach(result => {
+      assert.strictEqual(result.status, 'ok');
+      assert.strictEqual(result.response, 'The answer is 4.');
+      assert.strictEqual(result.evaluation.evaluation_type, 'automatic');
+      assert.strictEqual(result.evaluation.is_correct, true);
+    });
+  });
+
+  it('should record failed model calls as errors without judging them', function() {
+    evaluationSet.questions[1].results.forEach(result => {
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.response, null);
+      assert.strictEqual(result.error.code, 'auth');
+      assert.strictEqual(result.attempts, 1, 'Auth errors should not be retried');
+      assert.strictEqual(result.evaluation.evaluation_type, 'skipped_error');
+    });
+  });
+
+  it('should retry server errors and record the pair as errored once retries run out', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: '[mock-error:500] The provider is down', referenceAnswer: 'Anything' }
+        ],
+        models: ['gpt41'],
+        setName: 'Server Error Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed', 'A failed model call should not fail the job');
+
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    const result = setResponse.body.questions[1].results[0];
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.response, null);
+    assert.strictEqual(result.error.code, 'server_error');
+    assert.strictEqual(result.error.http_status, 500);
+    assert.match(result.error.message, /Mock provider error 500/);
+    assert.strictEqual(result.error_class, 'server_error');
+    assert.strictEqual(result.attempts, 4, 'Server errors should be retried MODEL_MAX_RETRIES times');
+    assert.strictEqual(result.evaluation.evaluation_type, 'skipped_error');
+    assert.strictEqual(result.evaluation.is_correct, null);
+
+    const summary = setResponse.body.results.summary.models.gpt41;
+    assert.strictEqual(summary.correct, 1);
+    assert.strictEqual(summary.incorrect, 0);
+    assert.strictEqual(summary.errored, 1);
+    assert.strictEqual(summary.accuracy, 1, 'Errored pairs should not count as wrong answers');
+    assert.strictEqual(summary.error_rate, 0.5);
+  });
+
+  it('should store the effective generation params on each result', function() {
+    const [gpt41, claude3] = evaluationSet.questions[0].results;
+    assert.deepStrictEqual(gpt41.params, { temperature: 0, seed: 7 });
+    assert.deepStrictEqual(claude3.params, { temperature: 0, max_tokens: 256 });
+  });
+
+  it('should reject invalid generation params', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [{ question: 'What is 2+2?', referenceAnswer: '4' }],
+        models: ['gpt41'],
+        generationParams: { temperature: 5 },
+        modelParams: { claude3: { top_k: 1 } }
+      });
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, /generationParams.temperature must be between 0 and 2/);
+    assert.match(response.body.error, /modelParams.claude3 is not one of the models being evaluated/);
+    assert.match(response.body.error, /modelParams.claude3.top_k is not a supported parameter/);
+  });
+
+  it('should total token usage and cost per model and for the judge', function() {
+    const result = evaluationSet.questions[0].results[0];
+    assert.ok(result.usage.prompt_tokens > 0);
+    assert.strictEqual(result.usage.total_tokens, result.usage.prompt_tokens + result.usage.completion_tokens);
+    assert.strictEqual(result.usage.cost, (result.usage.prompt_tokens * 2 + result.usage.completion_tokens * 8) / 1e6);
+    assert.ok(result.judge_usage.cost > 0);
+
+    const usage = evaluationSet.results.usage;
+    assert.strictEqual(usage.models.gpt41.calls, 1, 'Failed calls report no usage');
+    assert.strictEqual(usage.judge.calls, 2);
+    assert.strictEqual(usage.total.calls, 4);
+    assert.strictEqual(
+      usage.total.total_tokens,
+      usage.models.gpt41.total_tokens + usage.models.claude3.total_tokens + usage.judge.total_tokens
+    );
+  });
+
+  it('should leave errored pairs out of accuracy', function() {
+    const summary = evaluationSet.results.summary;
+    assert.strictEqual(summary.models.gpt41.correct, 1);
+    assert.strictEqual(summary.models.gpt41.errored, 1);
+    assert.strictEqual(summary.models.gpt41.accuracy, 1);
+    assert.strictEqual(summary.overall.errored, 2);
+  });
+
+  it('should give concurrent jobs on the same set their own question indexes', async function() {
+    const addQuestions = (questions) => request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ setId: evaluationSet.id, questions, models: ['gpt41'] });
+
+    const [first, second] = await Promise.all([
+      addQuestions([{ question: 'Name a planet.', referenceAnswer: 'Mars' }, { question: 'Name an ocean.', referenceAnswer: 'Pacific' }]),
+      addQuestions([{ question: 'Name a color.', referenceAnswer: 'red' }])
+    ]);
+    assert.strictEqual(first.status, 202);
+    assert.strictEqual(second.status, 202);
+
+    const firstJob = await waitForJob(app, first.body.jobId, authToken);
+    const secondJob = await waitForJob(app, second.body.jobId, authToken);
+    assert.deepStrictEqual(firstJob.results.map((entry) => entry.questionIndex).sort(), [2, 3]);
+    assert.deepStrictEqual(secondJob.results.map((entry) => entry.questionIndex), [4]);
+
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${evaluationSet.id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    assert.deepStrictEqual(
+      setResponse.body.questions.slice(2).map((question) => question.question),
+      ['Name a planet.', 'Name an ocean.', 'Name a color.']
+    );
+  });
+});
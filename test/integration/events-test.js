@@ -0,0 +1,81 @@
+// Integration tests for the Server-Sent Events streams of evaluation jobs
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { jobsStore } = require('../../src/lib/jobs');
+const { collectText, parseEvents } = require('../helpers');
+
+describe('Evaluation Events', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  it('should stream the job on evaluate-set when asked for text/event-stream', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Accept', 'text/event-stream')
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: 'Name a primary color.', referenceAnswer: 'red' }
+        ],
+        models: ['gpt41', 'claude3'],
+        setName: 'Events Test'
+      })
+      .buffer(true)
+      .parse(collectText);
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/event-stream/);
+
+    const events = parseEvents(response.body);
+    const names = events.map((entry) => entry.event);
+    assert.strictEqual(names[0], 'job');
+    assert.strictEqual(names[names.length - 1], 'complete');
+    assert.strictEqual(names.filter((name) => name === 'response').length, 4);
+
+    const results = events.filter((entry) => entry.event === 'result');
+    assert.strictEqual(results.length, 4);
+    assert.deepStrictEqual(results.map((entry) => entry.data.progress.done), [1, 2, 3, 4]);
+    results.forEach((entry) => {
+      const responseIndex = events.findIndex((other) => other.event === 'response'
+        && other.data.questionIndex === entry.data.questionIndex && other.data.model === entry.data.model);
+      assert.ok(responseIndex !== -1 && responseIndex < events.indexOf(entry), 'Each response should come before its result');
+      assert.ok(entry.data.result.evaluation, 'Results should include the evaluation');
+    });
+
+    const complete = events[events.length - 1].data;
+    assert.ok(complete.setId);
+
+    // A late subscriber gets the finished job replayed
+    const replay = await request(app)
+      .get(`/api/mvp/jobs/${complete.jobId}/events`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .buffer(true)
+      .parse(collectText);
+    const replayed = parseEvents(replay.body).map((entry) => entry.event);
+    assert.deepStrictEqual(replayed, ['job', 'result', 'result', 'result', 'result', 'complete']);
+  });
+
+  it('should end the stream with a failed event when the job fails', async function() {
+    const job = jobsStore.create({ type: 'evaluate-set', total: 1 });
+    jobsStore.start(job.id);
+    setTimeout(() => jobsStore.fail(job.id, new Error('Storage is unavailable')), 50);
+
+    const response = await request(app)
+      .get(`/api/mvp/jobs/${job.id}/events`)
+      .buffer(true)
+      .parse(collectText);
+
+    const events = parseEvents(response.body);
+    assert.deepStrictEqual(events.map((entry) => entry.event), ['job', 'failed']);
+    assert.strictEqual(events[0].data.status, 'running');
+    assert.strictEqual(events[1].data.error, 'Storage is unavailable');
+  });
+
+  it('should return 404 for an unknown job', async function() {
+    const response = await request(app).get('/api/mvp/jobs/job_missing/events');
+    assert.strictEqual(response.status, 404);
+  });
+});
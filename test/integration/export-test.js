@@ -0,0 +1,116 @@
+// Integration test for exporting evaluation sets
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Set Export', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let setId;
+
+  const exportSet = (format) => request(app)
+    .get(`/api/mvp/sets/${setId}/export`)
+    .query(format ? { format } : {})
+    .set('Authorization', `Bearer ${authToken}`);
+
+  before(async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4', tags: ['math'] },
+          { question: 'Name a fruit, e.g. "apple" | "pear"', referenceAnswer: 'apple' }
+        ],
+        models: ['gpt41', 'claude3'],
+        setName: 'Export Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    setId = job.setId;
+  });
+
+  it('should export one CSV row per question and model', async function() {
+    const response = await exportSet('csv');
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/csv/);
+    assert.match(response.headers['content-disposition'], /filename="Export-Test\.csv"/);
+
+    const lines = response.text.trim().split('\r\n');
+    assert.strictEqual(lines.length, 5);
+    assert.ok(lines[0].startsWith('question_index,question,reference_answer,tags,model,model_key,status,response,outcome,is_correct'));
+    assert.ok(lines[1].startsWith('0,What is 2+2?,4,math,GPT-4.1,gpt41,ok,The answer is 4.,correct,true,automatic,'));
+    assert.ok(lines[3].includes('"Name a fruit, e.g. ""apple"" | ""pear"""'), 'Cells with commas and quotes should be quoted');
+  });
+
+  it('should export JSONL rows with verdicts and timings', async function() {
+    const response = await exportSet('jsonl');
+    const rows = response.text.trim().split('\n').map((line) => JSON.parse(line));
+
+    assert.strictEqual(rows.length, 4);
+    assert.deepStrictEqual(rows.map((row) => row.model_key), ['gpt41', 'claude3', 'gpt41', 'claude3']);
+    assert.strictEqual(rows[0].is_correct, true);
+    assert.strictEqual(rows[0].evaluation_type, 'automatic');
+    assert.strictEqual(typeof rows[0].response_time_ms, 'number');
+    assert.deepStrictEqual(rows[0].tags, ['math']);
+  });
+
+  it('should render a Markdown report with accuracy and a question table', async function() {
+    const response = await exportSet('md');
+    assert.match(response.headers['content-type'], /^text\/markdown/);
+    assert.ok(response.text.startsWith('# Export Test\n'));
+    assert.match(response.text, /\| GPT-4\.1 \| 1 \| 1 \| 0 \| 0 \| 50\.0% \|/);
+    assert.match(response.text, /\| 1 \| What is 2\+2\? \| 4 \| ✅ correct \| ✅ correct \|/);
+    assert.ok(response.text.includes('"apple" \\| "pear"'), 'Pipes should be escaped in table cells');
+  });
+
+  it('should stop spreadsheets from running cells as formulas', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: "-2+3+cmd|' /C calc'!A0", referenceAnswer: '=1+1' },
+          { question: '@SUM(1,1)', referenceAnswer: '+1' }
+        ],
+        models: ['gpt41'],
+        setName: 'Formula Export Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+
+    const csv = await request(app)
+      .get(`/api/mvp/sets/${job.setId}/export?format=csv`)
+      .set('Authorization', `Bearer ${authToken}`);
+    const lines = csv.text.trim().split('\r\n');
+    assert.ok(lines[1].startsWith("0,'-2+3+cmd|' /C calc'!A0,'=1+1,"), lines[1]);
+    assert.ok(lines[2].startsWith('1,"\'@SUM(1,1)",\'+1,'), lines[2]);
+  });
+
+  it('should reject unknown formats', async function() {
+    assert.strictEqual((await exportSet('xlsx')).status, 400);
+  });
+
+  it('should apply the same visibility as the share link', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .send({ questions: [{ question: 'What is 2+2?', referenceAnswer: '4' }], models: ['gpt41'] });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    const ownerless = job.setId;
+
+    const cases = [
+      [setId, null, 403],
+      [setId, authToken, 200],
+      [ownerless, null, 200],
+      [ownerless, authToken, 200]
+    ];
+    for (const [id, token, status] of cases) {
+      const auth = (req) => (token ? req.set('Authorization', `Bearer ${token}`) : req);
+      const shared = await auth(request(app).get(`/api/mvp/share/${id}`));
+      const exported = await auth(request(app).get(`/api/mvp/sets/${id}/export?format=csv`));
+      assert.strictEqual(shared.status, status, `share ${id} as ${token || 'anonymous'}`);
+      assert.strictEqual(exported.status, status, `export ${id} as ${token || 'anonymous'}`);
+    }
+  });
+});
@@ -0,0 +1,155 @@
+// Integration test for importing questions from CSV and JSONL files
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Question Import', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  const upload = (contentType, content, query = {}) => request(app)
+    .post('/api/mvp/datasets/import')
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`)
+    .set('Content-Type', contentType)
+    .send(content);
+
+  it('should map CSV columns to question fields', async function() {
+    const csv = [
+      'prompt,answer,labels,system',
+      '"What is ""2+2""?",4,"math; easy",Answer with a number.',
+      '"Name the capital of France, please",Paris,geography,',
+    ].join('\n');
+    const response = await upload('text/csv', csv, {
+      'mapping[question]': 'prompt',
+      'mapping[referenceAnswer]': 'answer',
+      'mapping[tags]': 'labels',
+      'mapping[systemMessage]': 'system',
+    });
+
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    assert.strictEqual(response.body.count, 2);
+    assert.deepStrictEqual(response.body.questions, [
+      { question: 'What is "2+2"?', referenceAnswer: '4', tags: ['math', 'easy'], systemMessage: 'Answer with a number.' },
+      { question: 'Name the capital of France, please', referenceAnswer: 'Paris', tags: ['geography'] },
+    ]);
+  });
+
+  it('should report every invalid row by line number', async function() {
+    const jsonl = [
+      '{"question": "What is 2+2?", "referenceAnswer": "4"}',
+      '{"question": "No answer"}',
+      '',
+      'not json',
+      '{"question": "Bad scorer", "referenceAnswer": "x", "scorer": "nonsense"}',
+    ].join('\n');
+    const response = await upload('application/jsonl', jsonl);
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body.errors.map((error) => error.line), [2, 4, 5]);
+    assert.match(response.body.errors[0].message, /reference answer is missing/);
+  });
+
+  it('should import reference-free questions for pairwise mode', async function() {
+    const jsonl = [
+      '{"question": "Write a haiku about the sea."}',
+      '{"question": "Summarize the plot of Hamlet.", "referenceAnswer": "A prince avenges his father."}',
+    ].join('\n');
+
+    const strict = await upload('application/jsonl', jsonl);
+    assert.strictEqual(strict.status, 400, 'Reference mode still needs reference answers');
+
+    const response = await upload('application/jsonl', jsonl, { mode: 'pairwise', save: 'true' });
+    assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+    assert.deepStrictEqual(response.body.questions, [
+      { question: 'Write a haiku about the sea.' },
+      { question: 'Summarize the plot of Hamlet.', referenceAnswer: 'A prince avenges his father.' },
+    ]);
+
+    const evaluation = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ datasetId: response.body.datasetId, models: ['gpt41', 'claude3'], mode: 'pairwise' });
+    assert.strictEqual(evaluation.status, 202);
+    const job = await waitForJob(app, evaluation.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed');
+
+    const csv = await upload('text/csv', 'prompt\nWrite a haiku about the sea.\n"Summarize Hamlet, briefly."\n', {
+      mode: 'pairwise',
+      'mapping[question]': 'prompt',
+    });
+    assert.strictEqual(csv.status, 200, JSON.stringify(csv.body));
+    assert.deepStrictEqual(csv.body.questions, [
+      { question: 'Write a haiku about the sea.' },
+      { question: 'Summarize Hamlet, briefly.' },
+    ]);
+
+    const strictCsv = await upload('text/csv', 'prompt\nWrite a poem.\n', { 'mapping[question]': 'prompt' });
+    assert.strictEqual(strictCsv.status, 400);
+    assert.match(strictCsv.body.errors[0].message, /no "referenceAnswer" column/);
+
+    const withScorer = await upload('application/jsonl', '{"question": "Write a poem.", "scorer": "exact"}', { mode: 'pairwise' });
+    assert.strictEqual(withScorer.status, 400);
+    assert.match(withScorer.body.errors[0].message, /scorers cannot be used in pairwise mode/);
+
+    const badMode = await upload('application/jsonl', jsonl, { mode: 'ranking' });
+    assert.strictEqual(badMode.status, 400);
+    assert.match(badMode.body.errors[0].message, /mode must be one of: reference, pairwise/);
+  });
+
+  it('should accept files larger than the JSON body limit', async function() {
+    const row = (index) => JSON.stringify({ question: `Question ${index} ${'x'.repeat(400)}`, referenceAnswer: String(index) });
+    const jsonl = Array.from({ length: 3000 }, (_, index) => row(index)).join('\n');
+    assert.ok(jsonl.length > 1024 * 1024);
+
+    const response = await upload('application/x-ndjson', jsonl);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.count, 3000);
+  });
+
+  it('should save a dataset that evaluate-set can run', async function() {
+    const jsonl = [
+      '{"q": "What is 2+2?", "a": "4", "tags": ["math"], "system": "Be brief."}',
+      '{"q": "What is the capital of France?", "a": "Paris"}',
+    ].join('\n');
+    const imported = await upload('application/jsonl', jsonl, {
+      save: 'true',
+      name: 'Imported Test',
+      'mapping[question]': 'q',
+      'mapping[referenceAnswer]': 'a',
+      'mapping[systemMessage]': 'system',
+    });
+    assert.strictEqual(imported.status, 201, JSON.stringify(imported.body));
+    const { datasetId } = imported.body;
+
+    const dataset = await request(app)
+      .get(`/api/mvp/datasets/${datasetId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    assert.strictEqual(dataset.status, 200);
+    assert.strictEqual(dataset.body.questions.length, 2);
+
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ datasetId, models: ['gpt41'], systemMessage: 'Default system message.' });
+    assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+    const job = await waitForJob(app, response.body.jobId, authToken);
+
+    const set = (await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`)).body;
+    assert.deepStrictEqual(set.questions.map((question) => question.tags), [['math'], undefined]);
+    assert.deepStrictEqual(set.questions.map((question) => question.systemMessage), ['Be brief.', 'Default system message.']);
+    assert.strictEqual(set.questions[0].results[0].evaluation.is_correct, true);
+  });
+
+  it('should reject unknown datasets', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ datasetId: 'no-such-dataset', models: ['gpt41'] });
+    assert.strictEqual(response.status, 404);
+  });
+});
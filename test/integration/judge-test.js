@@ -0,0 +1,156 @@
+// Integration tests for judge configuration against the offline mock provider
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Judge Configuration', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  const runSet = async (body) => {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [{ question: 'What is 2+2?', referenceAnswer: '4' }],
+        models: ['gpt41'],
+        ...body
+      });
+    assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed');
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    return setResponse.body;
+  };
+
+  it('should list the named judge prompts', async function() {
+    const response = await request(app).get('/api/mvp/judge-prompts');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(Object.keys(response.body), ['default', 'strict', 'lenient']);
+  });
+
+  it('should store the default judge on the set', async function() {
+    const evaluationSet = await runSet({ setName: 'Default Judge Test' });
+    assert.strictEqual(evaluationSet.results.judge.model, 'openai/gpt-4.1-mini');
+    assert.strictEqual(evaluationSet.results.judge.prompt, 'default');
+    assert.strictEqual(evaluationSet.questions[0].results[0].evaluation.judge_model, 'openai/gpt-4.1-mini');
+  });
+
+  it('should grade with a custom judge model and template', async function() {
+    const template = 'Grade leniently.\n\n[QUESTION]\n{question}\n\n[REFERENCE ANSWER]\n{reference_answer}\n\n[MODEL RESPONSE]\n{model_response}\n\nEvaluate and reply in JSON.';
+    const evaluationSet = await runSet({
+      setName: 'Custom Judge Test',
+      judge: { model: 'claude3', template }
+    });
+
+    assert.deepStrictEqual(evaluationSet.results.judge, { model: 'claude3', prompt: 'custom', template });
+    const result = evaluationSet.questions[0].results[0];
+    assert.strictEqual(result.evaluation.judge_model, 'claude3');
+    assert.strictEqual(result.evaluation.is_correct, true);
+  });
+
+  it('should grade with the only model of a one-model judge.models list', async function() {
+    const evaluationSet = await runSet({
+      setName: 'One-model Judge List Test',
+      judge: { models: ['anthropic/claude-3-haiku'] }
+    });
+
+    assert.strictEqual(evaluationSet.results.judge.model, 'anthropic/claude-3-haiku');
+    assert.strictEqual(evaluationSet.results.judge.ensemble, undefined);
+    assert.strictEqual(evaluationSet.questions[0].results[0].evaluation.judge_model, 'anthropic/claude-3-haiku');
+  });
+
+  it('should score rubric criteria and derive is_correct from the threshold', async function() {
+    const evaluationSet = await runSet({
+      setName: 'Rubric Test',
+      questions: [
+        { question: 'What is 2+2?', referenceAnswer: '4' },
+        { question: 'What is the capital of France?', referenceAnswer: 'Paris' }
+      ],
+      rubric: {
+        criteria: [
+          { name: 'correctness', description: 'Agrees with the reference answer', weight: 2, scale: { min: 0, max: 5 } },
+          { name: 'conciseness', scale: 'pass_fail' }
+        ],
+        threshold: 0.8
+      }
+    });
+
+    assert.strictEqual(evaluationSet.results.judge.prompt, 'rubric');
+    assert.strictEqual(evaluationSet.results.judge.rubric.threshold, 0.8);
+
+    const [right, wrong] = evaluationSet.questions.map(question => question.results[0].evaluation);
+    assert.strictEqual(right.evaluation_type, 'rubric');
+    assert.strictEqual(right.score, 1);
+    assert.strictEqual(right.is_correct, true);
+    assert.deepStrictEqual(right.criteria.map(c => [c.name, c.score]), [['correctness', 5], ['conciseness', true]]);
+    assert.strictEqual(wrong.score, 0);
+    assert.strictEqual(wrong.is_correct, false);
+  });
+
+  it('should reject invalid rubrics', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [{ question: 'What is 2+2?', referenceAnswer: '4' }],
+        models: ['gpt41'],
+        judge: { prompt: 'strict' },
+        rubric: { criteria: [{ name: 'correctness', weight: 0, scale: { min: 5, max: 1 } }], threshold: 2 }
+      });
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, /rubric.criteria\[0\].weight must be a positive number/);
+    assert.match(response.body.error, /rubric.criteria\[0\].scale must be/);
+    assert.match(response.body.error, /rubric.threshold must be a number between 0 and 1/);
+    assert.match(response.body.error, /cannot be used with a rubric/);
+  });
+
+  it('should aggregate the votes of a judge ensemble', async function() {
+    const evaluationSet = await runSet({
+      setName: 'Ensemble Test',
+      judge: { models: ['openai/gpt-4.1-mini', 'claude3'], samples: 2, aggregation: 'majority' }
+    });
+
+    assert.deepStrictEqual(evaluationSet.results.judge.ensemble, {
+      models: ['openai/gpt-4.1-mini', 'claude3'],
+      samples: 2,
+      aggregation: 'majority',
+      reviewBelow: 0.75
+    });
+
+    const result = evaluationSet.questions[0].results[0];
+    assert.strictEqual(result.evaluation.evaluation_type, 'ensemble');
+    assert.strictEqual(result.evaluation.is_correct, true);
+    assert.strictEqual(result.evaluation.agreement, 1);
+    assert.strictEqual(result.evaluation.needs_review, false);
+    assert.deepStrictEqual(
+      result.evaluation.votes.map(vote => [vote.judge_model, vote.sample, vote.is_correct]),
+      [['openai/gpt-4.1-mini', 1, true], ['openai/gpt-4.1-mini', 2, true], ['claude3', 1, true], ['claude3', 2, true]]
+    );
+    assert.strictEqual(result.judge_usage.calls, 4);
+    assert.strictEqual(evaluationSet.results.usage.judge.calls, 4);
+  });
+
+  it('should reject invalid judge settings', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [{ question: 'What is 2+2?', referenceAnswer: '4' }],
+        models: ['gpt41'],
+        judge: { model: 'not-a-model', prompt: 'harsh', samples: 0, aggregation: 'plurality' }
+      });
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, /judge.samples must be an integer between 1 and 10/);
+    assert.match(response.body.error, /judge.aggregation must be one of: majority, unanimous, mean_score/);
+    assert.match(response.body.error, /judge.model must be a registered model/);
+    assert.match(response.body.error, /judge.prompt must be one of: default, strict, lenient/);
+  });
+});
@@ -0,0 +1,149 @@
+// Integration test for the cross-set leaderboard
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { fitBradleyTerry, buildLeaderboard, toLeaderboardSet } = require('../../src/lib/leaderboard');
+
+describe('Leaderboard', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  const tag = 'leaderboard-test';
+
+  const getLeaderboard = (query, token = authToken) => {
+    const req = request(app).get('/api/mvp/leaderboard').query(query);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  const runSet = async (body) => {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    return job.setId;
+  };
+
+  before(async function() {
+    // Pairwise: the mock judge prefers the longer of the two unscripted answers
+    await runSet({
+      questions: [{ question: 'Write a haiku about the sea.', tags: [tag] }],
+      models: ['gpt41', 'claude3'],
+      mode: 'pairwise',
+    });
+
+    // Graded by hand: GPT-4.1 right and Claude wrong on both questions; the untagged question is ignored
+    const setId = await runSet({
+      questions: [
+        { question: 'Leaderboard question 1', referenceAnswer: 'x', tags: [tag] },
+        { question: 'Leaderboard question 2', referenceAnswer: 'x', tags: [tag] },
+        { question: 'Untagged question', referenceAnswer: 'x' },
+      ],
+      models: ['gpt41', 'claude3'],
+      evaluateAutomatically: false,
+    });
+    for (const questionIndex of [0, 1, 2]) {
+      for (const [modelName, isCorrect] of [['GPT-4.1', questionIndex < 2], ['Claude Sonnet 4', questionIndex === 2]]) {
+        const manual = await request(app)
+          .post(`/api/mvp/sets/${setId}/evaluate`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ evaluationId: setId, questionIndex, modelName, isCorrect });
+        assert.strictEqual(manual.status, 200);
+      }
+    }
+  });
+
+  it('should fit finite Bradley-Terry ratings around the base rating', function() {
+    const ratings = fitBradleyTerry([
+      { a: 'x', b: 'y', score: 1 },
+      { a: 'x', b: 'y', score: 1 },
+      { a: 'x', b: 'y', score: 0.5 },
+    ], ['x', 'y', 'z']);
+
+    assert.ok(ratings.x > 1000 && ratings.y < 1000);
+    assert.ok(Number.isFinite(ratings.x) && Number.isFinite(ratings.y), 'Unbeaten models should still get a finite rating');
+    assert.strictEqual(ratings.z, 1000, 'Models without matches should stay at the base rating');
+  });
+
+  it('should leave out legacy results that only have a display name', function() {
+    const graded = (fields, isCorrect) => ({ ...fields, evaluation: { evaluation_type: 'automatic', is_correct: isCorrect } });
+    const leaderboard = buildLeaderboard([
+      // A legacy set, from when gpt4o and gpt41 were both shown as "GPT-4.1"
+      { questions: [{ results: [graded({ model: 'GPT-4.1' }, true), graded({ model: 'Claude Sonnet 4' }, false)] }] },
+      { questions: [{ results: [graded({ model: 'GPT-4.1', model_key: 'gpt41' }, true), graded({ model: 'Claude Sonnet 4', model_key: 'claude3' }, false)] }] },
+    ]);
+
+    assert.strictEqual(leaderboard.legacy_results, 2);
+    assert.strictEqual(leaderboard.matches.correctness, 1);
+    assert.deepStrictEqual(leaderboard.models.map((entry) => entry.model_key), ['gpt41', 'claude3']);
+    assert.strictEqual(leaderboard.models[0].graded, 1);
+  });
+
+  it('should rank stripped sets the same as the full sets', function() {
+    const fullSet = {
+      id: 'set-1',
+      user_id: null,
+      created_at: '2025-01-01T00:00:00.000Z',
+      questions: [
+        {
+          question: 'Write a haiku about the sea.',
+          tags: [tag],
+          messages: [{ role: 'user', content: 'Hi.' }, { role: 'assistant', content: 'Hello.' }],
+          results: [
+            { model_key: 'gpt41', model: 'GPT-4.1', status: 'ok', response: 'Waves fold into foam.', evaluation: { evaluation_type: 'automatic', is_correct: true, reasoning: 'Fine.' } },
+            { model_key: 'claude3', model: 'Claude Sonnet 4', status: 'error', response: null, error: { code: 'server_error' } },
+            { model_key: 'gpt4o', model: 'GPT-4.1', status: 'ok', response: 'Sea.', evaluation: { evaluation_type: 'automatic', is_correct: false } }
+          ],
+          comparisons: [{ models: ['gpt41', 'gpt4o'], model_names: ['GPT-4.1', 'GPT-4.1'], outcome: 'a', reasoning: 'Longer.' }]
+        }
+      ]
+    };
+
+    const stripped = toLeaderboardSet(fullSet);
+    assert.deepStrictEqual(buildLeaderboard([stripped], { tag }), buildLeaderboard([fullSet], { tag }));
+    assert.ok(!JSON.stringify(stripped).includes('Waves'), 'Responses should be dropped');
+    assert.ok(!JSON.stringify(stripped).includes('reasoning'), 'Reasoning should be dropped');
+  });
+
+  it('should rank models from pairwise and graded results with the tag', async function() {
+    const response = await getLeaderboard({ tag });
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+
+    const { matches, models, filters } = response.body;
+    assert.strictEqual(filters.scope, 'all');
+    assert.deepStrictEqual(matches, { pairwise: 1, correctness: 2 });
+    assert.deepStrictEqual(models.map((entry) => entry.rank), [1, 2]);
+
+    const gpt41 = models.find((entry) => entry.model_key === 'gpt41');
+    assert.strictEqual(gpt41.graded, 2);
+    assert.strictEqual(gpt41.accuracy, 1);
+    assert.strictEqual(gpt41.matches, 3);
+    const [first, second] = models;
+    assert.ok(first.rating > second.rating);
+    assert.ok(first.wins > second.wins);
+  });
+
+  it('should filter by scope and date', async function() {
+    const publicOnly = await getLeaderboard({ tag, scope: 'public' });
+    // Other tests leave ownerless sets behind, so check that none of this test's results count
+    assert.deepStrictEqual(publicOnly.body.matches, { pairwise: 0, correctness: 0 });
+    assert.deepStrictEqual(publicOnly.body.models, []);
+
+    const mine = await getLeaderboard({ tag, scope: 'mine' });
+    assert.strictEqual(mine.body.models.length, 2);
+
+    const future = await getLeaderboard({ tag, from: '2999-01-01' });
+    assert.strictEqual(future.body.sets, 0);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const untilToday = await getLeaderboard({ tag, to: today });
+    assert.strictEqual(untilToday.body.models.length, 2, 'A date-only "to" should cover the whole day');
+  });
+
+  it('should reject invalid filters', async function() {
+    assert.strictEqual((await getLeaderboard({ scope: 'everyone' })).status, 400);
+    assert.strictEqual((await getLeaderboard({ from: 'yesterday' })).status, 400);
+    assert.strictEqual((await getLeaderboard({ scope: 'mine' }, null)).status, 401);
+  });
+});
@@ -2,6 +2,7 @@
 const assert = require('assert');
 const request = require('supertest');
 const app = require('../../src/index.js'); // Adjust path if needed
+const { waitForJob } = require('../helpers');
 
 describe('Manual Evaluation Feature', function() {
   this.timeout(10000); // Increase timeout for API operations
@@ -11,8 +12,7 @@ describe('Manual Evaluation Feature', function() {
   
   before(async function() {
     // This function would normally authenticate a user
-    // Since we're testing without a real auth system, we'll skip this
-    // and rely on the controller to handle unauthenticated users
+    // test/setup.js sets OFFLINE_AUTH_TOKEN so this token signs in as a local user
     authToken = 'test-token';
   });
   
@@ -32,15 +32,26 @@ describe('Manual Evaluation Feature', function() {
         evaluateAutomatically: false
       });
     
-    assert.strictEqual(response.status, 200);
-    assert.ok(response.body.id, 'Response should include an evaluation set ID');
-    assert.strictEqual(response.body.evaluate_automatically, false, 'Automatic evaluation should be disabled');
+    assert.strictEqual(response.status, 202);
+    assert.ok(response.body.jobId, 'Response should include a job ID');
+    assert.ok(response.body.setId, 'Response should include an evaluation set ID');
+    
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed', 'Job should complete');
+    assert.deepStrictEqual(job.progress, { done: 1, total: 1 });
     
     // Store the evaluation set ID for later use
-    evaluationSetId = response.body.id;
+    evaluationSetId = job.setId;
+    
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${evaluationSetId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    assert.strictEqual(setResponse.status, 200);
+    assert.strictEqual(setResponse.body.evaluate_automatically, false, 'Automatic evaluation should be disabled');
     
     // Check that the first question's result has pending_manual status
-    const firstQuestion = response.body.questions[0];
+    const firstQuestion = setResponse.body.questions[0];
     assert.ok(firstQuestion, 'Response should include questions');
     assert.ok(firstQuestion.results, 'Question should include results');
     assert.ok(firstQuestion.results.length > 0, 'Question should have at least one result');
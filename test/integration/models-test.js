@@ -0,0 +1,208 @@
+// Integration tests for admin model management
+const assert = require('assert');
+const request = require('supertest');
+const OpenAI = require('openai');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { AVAILABLE_MODELS, registerModel } = require('../../src/lib/models');
+const { isAdminUser } = require('../../src/middleware/auth');
+
+describe('Model Management', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  const asAdmin = (method, path) => request(app)[method](`/api/mvp${path}`)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  before(function() {
+    process.env.ADMIN_USER_IDS = 'offline-user';
+  });
+
+  after(function() {
+    delete process.env.ADMIN_USER_IDS;
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it('should require an administrator', async function() {
+    const body = { key: 'admin-test-anonymous', slug: 'test/anonymous' };
+
+    const anonymous = await request(app).post('/api/mvp/models').send(body);
+    assert.strictEqual(anonymous.status, 401);
+
+    delete process.env.ADMIN_USER_IDS;
+    try {
+      const forbidden = await asAdmin('post', '/models').send(body);
+      assert.strictEqual(forbidden.status, 403);
+
+      process.env.ADMIN_EMAILS = 'someone@example.com, offline@localhost';
+      const byEmail = await asAdmin('post', '/models').send(body);
+      assert.strictEqual(byEmail.status, 201);
+    } finally {
+      process.env.ADMIN_USER_IDS = 'offline-user';
+      delete process.env.ADMIN_EMAILS;
+    }
+  });
+
+  it('should recognise admins by user ID, email or app_metadata role', function() {
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    assert.strictEqual(isAdminUser({ id: 'offline-user' }), true);
+    assert.strictEqual(isAdminUser({ id: 'someone', email: 'admin@example.com' }), true);
+    assert.strictEqual(isAdminUser({ id: 'someone', app_metadata: { role: 'admin' } }), true);
+    assert.strictEqual(isAdminUser({ id: 'someone', email: 'user@example.com', app_metadata: { role: 'user' } }), false);
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it('should create and update a model', async function() {
+    const created = await asAdmin('post', '/models').send({
+      key: 'admin-test-create',
+      slug: 'test/create',
+      display: 'Admin Test',
+      pricing: { input: 1, output: 2 }
+    });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    assert.strictEqual(created.body.display, 'Admin Test');
+
+    const duplicate = await asAdmin('post', '/models').send({ key: 'admin-test-create', slug: 'test/create' });
+    assert.strictEqual(duplicate.status, 409);
+
+    const updated = await asAdmin('put', '/models/admin-test-create').send({ display: 'Admin Test v2' });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.display, 'Admin Test v2');
+    assert.deepStrictEqual(updated.body.pricing, { input: 1, output: 2 });
+
+    const missing = await asAdmin('put', '/models/admin-test-missing').send({ display: 'Nothing' });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('should reject invalid definitions, literal API keys and credential headers', async function() {
+    const invalid = await asAdmin('post', '/models').send({ key: 'admin-test-invalid', adapter: 'nope' });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /unknown adapter/);
+
+    const withKey = await asAdmin('post', '/models').send({
+      key: 'admin-test-key',
+      adapter: 'openai-compatible',
+      baseURL: 'http://localhost:11434/v1',
+      adapterModel: 'llama3.1:8b',
+      apiKey: 'secret'
+    });
+    assert.strictEqual(withKey.status, 400);
+    assert.match(withKey.body.error, /apiKeyEnv/);
+    assert.strictEqual(AVAILABLE_MODELS['admin-test-key'], undefined);
+
+    for (const header of ['Authorization', 'x-api-key', 'X-Auth-Token']) {
+      const withHeader = await asAdmin('post', '/models').send({
+        key: 'admin-test-header',
+        adapter: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1',
+        adapterModel: 'llama3.1:8b',
+        headers: { 'X-Team': 'evals', [header]: 'secret' }
+      });
+      assert.strictEqual(withHeader.status, 400, header);
+      assert.match(withHeader.body.error, new RegExp(`Credential headers .*\\(${header}\\)`));
+    }
+    assert.strictEqual(AVAILABLE_MODELS['admin-test-header'], undefined);
+  });
+
+  it('should keep the in-memory API key of a CUSTOM_MODELS entry across updates', async function() {
+    registerModel('admin-test-custom', {
+      baseURL: 'http://localhost:11434/v1',
+      adapterModel: 'llama3.1:8b',
+      apiKey: 'local-secret'
+    });
+
+    const updated = await asAdmin('put', '/models/admin-test-custom').send({ display: 'Local Llama' });
+    assert.strictEqual(updated.status, 200, JSON.stringify(updated.body));
+    assert.strictEqual(updated.body.apiKey, undefined, 'The key should not be returned');
+    assert.strictEqual(AVAILABLE_MODELS['admin-test-custom'].apiKey, 'local-secret');
+
+    const disabled = await asAdmin('post', '/models/admin-test-custom/disable').send({});
+    assert.strictEqual(disabled.status, 200);
+    assert.strictEqual(AVAILABLE_MODELS['admin-test-custom'].apiKey, 'local-secret');
+  });
+
+  it('should call a registered OpenAI-compatible endpoint with its base URL, key and headers', async function() {
+    registerModel('admin-test-endpoint', {
+      display: 'Endpoint Test',
+      baseURL: 'http://vllm.test:8000/v1',
+      adapterModel: 'llama3.1:8b',
+      apiKeyEnv: 'ENDPOINT_TEST_API_KEY',
+      headers: { 'X-Team': 'evals' }
+    });
+
+    // Route this model to its real adapter, with the SDK call stubbed out
+    const create = OpenAI.Chat.Completions.prototype.create;
+    const calls = [];
+    OpenAI.Chat.Completions.prototype.create = async function(body) {
+      calls.push({ client: this._client, body });
+      return {
+        choices: [{ message: { role: 'assistant', content: 'The answer is 4.' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 5 }
+      };
+    };
+    delete process.env.MODEL_PROVIDER;
+    process.env.ENDPOINT_TEST_API_KEY = 'endpoint-secret';
+
+    let job;
+    try {
+      const response = await asAdmin('post', '/evaluate-set').send({
+        questions: [{ question: 'What is 2+2?', referenceAnswer: '4', scorer: 'numeric' }],
+        models: ['admin-test-endpoint']
+      });
+      assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+      job = await waitForJob(app, response.body.jobId, authToken);
+    } finally {
+      OpenAI.Chat.Completions.prototype.create = create;
+      process.env.MODEL_PROVIDER = 'mock';
+      delete process.env.ENDPOINT_TEST_API_KEY;
+    }
+
+    assert.strictEqual(calls.length, 1);
+    const [{ client, body }] = calls;
+    assert.strictEqual(client.baseURL, 'http://vllm.test:8000/v1');
+    assert.strictEqual(client.apiKey, 'endpoint-secret');
+    assert.strictEqual(client._options.defaultHeaders['X-Team'], 'evals');
+    assert.strictEqual(body.model, 'llama3.1:8b');
+
+    assert.strictEqual(job.status, 'completed');
+    const setResponse = await asAdmin('get', `/sets/${job.setId}`);
+    const [result] = setResponse.body.questions[0].results;
+    assert.strictEqual(result.model_key, 'admin-test-endpoint');
+    assert.strictEqual(result.response, 'The answer is 4.');
+    assert.strictEqual(result.evaluation.is_correct, true);
+    assert.strictEqual(result.usage.prompt_tokens, 12);
+  });
+
+  it('should refuse disabled models and warn about deprecated ones in evaluate-set', async function() {
+    await asAdmin('post', '/models').send({ key: 'admin-test-old', slug: 'test/old' });
+    await asAdmin('post', '/models').send({
+      key: 'admin-test-aging',
+      slug: 'test/aging',
+      deprecated: { message: 'Retiring soon.' }
+    });
+
+    const badReplacement = await asAdmin('post', '/models/admin-test-old/disable').send({ replacedBy: 'admin-test-missing' });
+    assert.strictEqual(badReplacement.status, 400);
+
+    const disabled = await asAdmin('post', '/models/admin-test-old/disable')
+      .send({ message: 'Superseded.', replacedBy: 'gpt41' });
+    assert.strictEqual(disabled.status, 200);
+    assert.strictEqual(disabled.body.enabled, false);
+    assert.strictEqual(disabled.body.deprecated.replacedBy, 'gpt41');
+
+    const listed = await request(app).get('/api/mvp/models');
+    assert.strictEqual(listed.body['admin-test-old'], undefined);
+    const listedAll = await request(app).get('/api/mvp/models').query({ includeDisabled: 'true' });
+    assert.strictEqual(listedAll.body['admin-test-old'].enabled, false);
+
+    const question = { question: 'What is 2+2?', referenceAnswer: '4' };
+    const refused = await asAdmin('post', '/evaluate-set').send({ questions: [question], models: ['admin-test-old'] });
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.body.error, /admin-test-old is disabled; use gpt41/);
+
+    const warned = await asAdmin('post', '/evaluate-set').send({ questions: [question], models: ['admin-test-aging'] });
+    assert.strictEqual(warned.status, 202);
+    assert.deepStrictEqual(warned.body.warnings, ['Model admin-test-aging is deprecated: Retiring soon.']);
+  });
+});
@@ -0,0 +1,109 @@
+// Integration test for questions with earlier conversation turns
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { formatTranscript } = require('../../src/lib/conversation');
+
+describe('Multi-turn Questions', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  const messages = [
+    { role: 'user', content: 'Let us do some arithmetic.' },
+    { role: 'assistant', content: 'Sure, ask away.' }
+  ];
+
+  const evaluateSet = (body) => request(app)
+    .post('/api/mvp/evaluate-set')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ models: ['gpt41'], ...body });
+
+  let setId;
+
+  before(async function() {
+    const response = await evaluateSet({
+      questions: [
+        { question: 'What is 2+2?', referenceAnswer: '4', messages },
+        { question: 'What is 2+2?', referenceAnswer: '4' }
+      ],
+      setName: 'Multi-turn Test'
+    });
+    assert.strictEqual(response.status, 202);
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed');
+    setId = job.setId;
+  });
+
+  it('should answer the final turn with the earlier turns in context', async function() {
+    const response = await request(app)
+      .get(`/api/mvp/sets/${setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const [multiTurn, singleTurn] = response.body.questions;
+    assert.deepStrictEqual(multiTurn.messages, messages);
+    assert.strictEqual(singleTurn.messages, undefined);
+
+    const result = multiTurn.results[0];
+    assert.strictEqual(result.response, 'The answer is 4.');
+    assert.strictEqual(result.evaluation.is_correct, true);
+    assert.ok(
+      result.usage.prompt_tokens > singleTurn.results[0].usage.prompt_tokens,
+      'The earlier turns should be sent to the model'
+    );
+  });
+
+  it('should keep the transcript in the shared view and exports', async function() {
+    const shared = await request(app)
+      .get(`/api/mvp/share/${setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    assert.strictEqual(shared.status, 200);
+    assert.deepStrictEqual(shared.body.questions[0].messages, messages);
+
+    const exported = await request(app)
+      .get(`/api/mvp/sets/${setId}/export`)
+      .query({ format: 'jsonl' })
+      .set('Authorization', `Bearer ${authToken}`);
+    const rows = exported.text.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(rows[0].messages, messages);
+    assert.strictEqual(rows[1].messages, null);
+  });
+
+  it('should show the judge the whole conversation', function() {
+    assert.strictEqual(formatTranscript('What is 2+2?'), 'What is 2+2?');
+    assert.ok(formatTranscript('What is 2+2?', messages).startsWith(
+      'User: Let us do some arithmetic.\n\nAssistant: Sure, ask away.\n\nUser: What is 2+2?'
+    ));
+  });
+
+  it('should reject turns that do not alternate or end with the assistant', async function() {
+    const cases = [
+      [{ role: 'assistant', content: 'Hello.' }],
+      [{ role: 'user', content: 'Hi.' }],
+      [{ role: 'user', content: 'Hi.' }, { role: 'system', content: 'Be brief.' }],
+      [{ role: 'user', content: '' }, { role: 'assistant', content: 'Hello.' }],
+      'not an array'
+    ];
+    for (const invalid of cases) {
+      const response = await evaluateSet({
+        questions: [{ question: 'What is 2+2?', referenceAnswer: '4', messages: invalid }]
+      });
+      assert.strictEqual(response.status, 400, JSON.stringify(invalid));
+      assert.match(response.body.error, /questions\[0\]\.messages/);
+    }
+  });
+
+  it('should import turns from a JSON cell of a CSV file', async function() {
+    const csv = 'question,referenceAnswer,messages\n'
+      + `What is 2+2?,4,"${JSON.stringify(messages).replace(/"/g, '""')}"\n`;
+    const response = await request(app)
+      .post('/api/mvp/datasets/import')
+      .query({ format: 'csv' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.questions[0].messages, messages);
+  });
+});
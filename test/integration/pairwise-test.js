@@ -0,0 +1,116 @@
+// Integration test for pairwise comparison mode
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob, collectText, parseEvents } = require('../helpers');
+
+describe('Pairwise Comparison', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let evaluationSet;
+
+  const evaluateSet = (body) => request(app)
+    .post('/api/mvp/evaluate-set')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  before(async function() {
+    // The mock judge prefers the longer response; every model gives the same scripted answer to 2+2
+    const response = await evaluateSet({
+      questions: [
+        { question: 'What is 2+2?' },
+        { question: 'Write a haiku about the sea.' }
+      ],
+      models: ['gpt41', 'claude3', 'gemini'],
+      mode: 'pairwise',
+      setName: 'Pairwise Test'
+    });
+    assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    assert.strictEqual(job.status, 'completed');
+
+    evaluationSet = (await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`)).body;
+  });
+
+  it('should stream a comparison event for every pair of responses', async function() {
+    const response = await evaluateSet({
+      questions: [{ question: 'Write a haiku about the sea.' }],
+      models: ['gpt41', 'claude3'],
+      mode: 'pairwise',
+      setName: 'Pairwise Events Test'
+    })
+      .set('Accept', 'text/event-stream')
+      .buffer(true)
+      .parse(collectText);
+
+    const events = parseEvents(response.body);
+    const comparisons = events.filter((entry) => entry.event === 'comparison');
+    assert.strictEqual(comparisons.length, 1);
+    assert.strictEqual(comparisons[0].data.questionIndex, 0);
+    assert.deepStrictEqual(comparisons[0].data.comparison.models, ['gpt41', 'claude3']);
+    assert.ok(['a', 'b', 'tie'].includes(comparisons[0].data.comparison.outcome));
+    assert.strictEqual(events[events.length - 1].event, 'complete');
+  });
+
+  it('should compare every pair of responses to a question', function() {
+    evaluationSet.questions.forEach((question) => {
+      assert.deepStrictEqual(
+        question.comparisons.map((comparison) => comparison.models.join(' vs ')),
+        ['gpt41 vs claude3', 'gpt41 vs gemini', 'claude3 vs gemini']
+      );
+      question.results.forEach((result) => assert.strictEqual(result.evaluation.evaluation_type, 'pairwise'));
+    });
+    evaluationSet.questions[0].comparisons.forEach((comparison) => {
+      assert.strictEqual(comparison.outcome, 'tie');
+      assert.strictEqual(comparison.winner, null);
+    });
+  });
+
+  it('should map the preference back to the model whatever order the responses were shown in', function() {
+    const question = evaluationSet.questions[1];
+    const responseLength = (modelKey) => question.results.find((result) => result.model_key === modelKey).response.length;
+
+    question.comparisons.forEach((comparison) => {
+      assert.deepStrictEqual([...comparison.shown_order].sort(), [...comparison.models].sort());
+      assert.ok(['A', 'B'].includes(comparison.preference));
+      const longer = responseLength(comparison.models[0]) > responseLength(comparison.models[1]) ? comparison.models[0] : comparison.models[1];
+      assert.strictEqual(comparison.winner, longer);
+      assert.ok(comparison.reasoning);
+    });
+  });
+
+  it('should roll comparisons up into win rates', function() {
+    const { models, head_to_head: headToHead } = evaluationSet.results.pairwise;
+    assert.strictEqual(evaluationSet.results.judge.mode, 'pairwise');
+
+    Object.values(models).forEach((record) => {
+      assert.strictEqual(record.comparisons, 4);
+      assert.strictEqual(record.win_rate, (record.wins + record.ties / 2) / 4);
+    });
+    const totalWins = Object.values(models).reduce((sum, record) => sum + record.wins, 0);
+    const totalLosses = Object.values(models).reduce((sum, record) => sum + record.losses, 0);
+    assert.strictEqual(totalWins, totalLosses);
+    assert.strictEqual(headToHead.gpt41.claude3.comparisons, 2);
+    assert.strictEqual(evaluationSet.results.usage.judge.calls, 6);
+  });
+
+  it('should reject settings pairwise mode cannot use', async function() {
+    const questions = [{ question: 'Write a haiku about the sea.' }];
+    assert.strictEqual((await evaluateSet({ questions, models: ['gpt41'], mode: 'pairwise' })).status, 400);
+    assert.strictEqual((await evaluateSet({ questions, models: ['gpt41', 'claude3'], mode: 'pairwise', evaluateAutomatically: false })).status, 400);
+    assert.strictEqual((await evaluateSet({ questions, models: ['gpt41', 'claude3'], mode: 'pairwise', judge: { prompt: 'strict' } })).status, 400);
+    assert.strictEqual((await evaluateSet({ questions, models: ['gpt41', 'claude3'], mode: 'pairwise', rubric: { criteria: [] } })).status, 400);
+    assert.strictEqual((await evaluateSet({ questions, models: ['gpt41', 'claude3'], mode: 'ranking' })).status, 400);
+  });
+
+  it('should not rerun pairwise sets', async function() {
+    const response = await request(app)
+      .post(`/api/mvp/sets/${evaluationSet.id}/rerun`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({});
+    assert.strictEqual(response.status, 400);
+  });
+});
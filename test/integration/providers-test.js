@@ -0,0 +1,177 @@
+// Tests for the provider adapters, with the SDK clients stubbed out
+const assert = require('assert');
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createOpenAIAdapter } = require('../../src/lib/providers/openai');
+const { createAnthropicAdapter } = require('../../src/lib/providers/anthropic');
+const { createGeminiAdapter } = require('../../src/lib/providers/gemini');
+
+describe('Provider Adapters', function() {
+  const API_KEYS = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GEMINI_API_KEY'];
+  const savedKeys = {};
+  const restores = [];
+
+  // Replaces a method until the end of the test and records the arguments of each call
+  const stub = (target, method, implementation) => {
+    const original = target[method];
+    const calls = [];
+    target[method] = function(...args) {
+      calls.push(args);
+      return implementation.apply(this, args);
+    };
+    restores.push(() => { target[method] = original; });
+    return calls;
+  };
+
+  const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Let us do some arithmetic.' },
+    { role: 'assistant', content: 'Sure, ask away.' },
+    { role: 'user', content: 'What is 2+2?' }
+  ];
+  const params = { temperature: 0.2, top_p: 0.9, max_tokens: 100, seed: 7, stop: 'END' };
+
+  before(function() {
+    API_KEYS.forEach((name) => {
+      savedKeys[name] = process.env[name];
+      process.env[name] = `test-${name.toLowerCase()}`;
+    });
+  });
+
+  afterEach(function() {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  after(function() {
+    API_KEYS.forEach((name) => {
+      if (savedKeys[name] === undefined) delete process.env[name];
+      else process.env[name] = savedKeys[name];
+    });
+  });
+
+  describe('openai', function() {
+    it('should send the messages and params unchanged and normalize the completion', async function() {
+      const calls = stub(OpenAI.Chat.Completions.prototype, 'create', async () => ({
+        choices: [{ message: { role: 'assistant', content: 'The answer is 4.' } }],
+        usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }
+      }));
+
+      const result = await createOpenAIAdapter().complete({ model: 'gpt-4.1', messages, json: true, params });
+
+      assert.deepStrictEqual(calls[0][0], {
+        model: 'gpt-4.1',
+        messages,
+        ...params,
+        response_format: { type: 'json_object' }
+      });
+      assert.deepStrictEqual(result, { content: 'The answer is 4.', usage: { prompt_tokens: 20, completion_tokens: 5 } });
+    });
+
+    it('should leave out unset params and report missing usage as null', async function() {
+      const calls = stub(OpenAI.Chat.Completions.prototype, 'create', async () => ({
+        choices: [{ message: { role: 'assistant', content: '4' } }]
+      }));
+
+      const result = await createOpenAIAdapter().complete({ model: 'gpt-4.1', messages: messages.slice(3) });
+
+      assert.deepStrictEqual(calls[0][0], { model: 'gpt-4.1', messages: messages.slice(3) });
+      assert.deepStrictEqual(result, { content: '4', usage: null });
+    });
+
+    it('should fail with missing_api_key when the key is not set', async function() {
+      delete process.env.OPENAI_API_KEY;
+      try {
+        await assert.rejects(
+          createOpenAIAdapter().complete({ model: 'gpt-4.1', messages }),
+          (error) => error.code === 'missing_api_key' && /OPENAI_API_KEY/.test(error.message)
+        );
+      } finally {
+        process.env.OPENAI_API_KEY = 'test-openai_api_key';
+      }
+    });
+  });
+
+  describe('anthropic', function() {
+    it('should move the system prompt to its own field and map the params', async function() {
+      const calls = stub(Anthropic.Messages.prototype, 'create', async () => ({
+        content: [{ type: 'text', text: 'The answer ' }, { type: 'text', text: 'is 4.' }],
+        usage: { input_tokens: 18, output_tokens: 6 }
+      }));
+
+      const result = await createAnthropicAdapter().complete({ model: 'claude-3-7-sonnet', messages, params });
+
+      assert.deepStrictEqual(calls[0][0], {
+        model: 'claude-3-7-sonnet',
+        max_tokens: 100,
+        temperature: 0.2,
+        top_p: 0.9,
+        stop_sequences: ['END'],
+        system: 'Be brief.',
+        messages: messages.slice(1)
+      });
+      assert.deepStrictEqual(result, { content: 'The answer is 4.', usage: { prompt_tokens: 18, completion_tokens: 6 } });
+    });
+
+    it('should default max_tokens and omit the system field when there is no system prompt', async function() {
+      const calls = stub(Anthropic.Messages.prototype, 'create', async () => ({
+        content: [{ type: 'text', text: '4' }]
+      }));
+
+      const result = await createAnthropicAdapter().complete({ model: 'claude-3-7-sonnet', messages: messages.slice(3) });
+
+      assert.deepStrictEqual(calls[0][0], {
+        model: 'claude-3-7-sonnet',
+        max_tokens: 4096,
+        messages: messages.slice(3)
+      });
+      assert.deepStrictEqual(result, { content: '4', usage: null });
+    });
+  });
+
+  describe('gemini', function() {
+    // Stubs getGenerativeModel and returns the model options and requests it received
+    const stubGemini = (response) => {
+      const requests = [];
+      const calls = stub(GoogleGenerativeAI.prototype, 'getGenerativeModel', () => ({
+        generateContent: async (request) => {
+          requests.push(request);
+          if (response instanceof Error) throw response;
+          return { response };
+        }
+      }));
+      return { calls, requests };
+    };
+
+    it('should send the turns as contents with the system prompt leading the first one', async function() {
+      const { calls, requests } = stubGemini({
+        text: () => 'The answer is 4.',
+        usageMetadata: { promptTokenCount: 15, candidatesTokenCount: 4, totalTokenCount: 19 }
+      });
+
+      const result = await createGeminiAdapter().complete({ model: 'gemini-2.0-flash', messages, params });
+
+      assert.deepStrictEqual(calls[0][0], {
+        model: 'gemini-2.0-flash',
+        generationConfig: { temperature: 0.2, topP: 0.9, maxOutputTokens: 100, stopSequences: ['END'] }
+      });
+      assert.deepStrictEqual(requests[0], {
+        contents: [
+          { role: 'user', parts: [{ text: 'Be brief.' }, { text: 'Let us do some arithmetic.' }] },
+          { role: 'model', parts: [{ text: 'Sure, ask away.' }] },
+          { role: 'user', parts: [{ text: 'What is 2+2?' }] }
+        ]
+      });
+      assert.deepStrictEqual(result, { content: 'The answer is 4.', usage: { prompt_tokens: 15, completion_tokens: 4 } });
+    });
+
+    it('should read the HTTP status out of SDK error messages', async function() {
+      stubGemini(new Error('[GoogleGenerativeAI Error]: Error fetching from https://example.com: [429 Too Many Requests] Quota exceeded'));
+
+      await assert.rejects(
+        createGeminiAdapter().complete({ model: 'gemini-2.0-flash', messages: messages.slice(3) }),
+        (error) => error.status === 429
+      );
+    });
+  });
+});
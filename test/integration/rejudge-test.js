@@ -0,0 +1,113 @@
+// Integration test for re-judging stored responses
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Re-judge', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let setId;
+  let originalResponses;
+
+  const getSet = async () => (await request(app)
+    .get(`/api/mvp/sets/${setId}`)
+    .set('Authorization', `Bearer ${authToken}`)).body;
+
+  const rejudge = async (body) => {
+    const response = await request(app)
+      .post(`/api/mvp/sets/${setId}/rejudge`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+    assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+    return waitForJob(app, response.body.jobId, authToken);
+  };
+
+  before(async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: 'What is the capital of France?', referenceAnswer: 'Paris' }
+        ],
+        models: ['gpt41', 'claude3'],
+        setName: 'Rejudge Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    setId = job.setId;
+    originalResponses = (await getSet()).questions.map((question) => question.results.map((result) => result.response));
+  });
+
+  it('should grade the stored responses as a new judging pass', async function() {
+    const job = await rejudge({ scorer: 'exact' });
+    assert.strictEqual(job.status, 'completed');
+
+    const set = await getSet();
+    assert.deepStrictEqual(set.results.judging_passes.map((pass) => pass.pass), [1, 2]);
+    assert.strictEqual(set.results.judging_passes[1].scorer.type, 'exact');
+
+    const result = set.questions[0].results[0];
+    assert.strictEqual(result.response, originalResponses[0][0], 'Re-judging should not call the model again');
+    assert.strictEqual(result.evaluation.evaluation_type, 'scorer:exact');
+    assert.strictEqual(result.evaluation.judging_pass, 2);
+    assert.deepStrictEqual(result.judge_passes.map((pass) => pass.pass), [1, 2]);
+    assert.strictEqual(result.judge_passes[0].evaluation.evaluation_type, 'automatic', 'The original verdict should be kept');
+  });
+
+  it('should only re-grade the selected questions and models', async function() {
+    const job = await rejudge({ questions: [1], models: ['claude3'] });
+    assert.strictEqual(job.progress.total, 1);
+
+    const set = await getSet();
+    assert.strictEqual(set.results.judging_passes.length, 3);
+    assert.strictEqual(set.questions[1].results[1].evaluation.judging_pass, 3);
+    assert.strictEqual(set.questions[1].results[1].evaluation.evaluation_type, 'automatic');
+    assert.strictEqual(set.questions[1].results[0].evaluation.judging_pass, 2, 'Other results should keep their verdict');
+    assert.strictEqual(set.questions[0].results[1].judge_passes.length, 2);
+  });
+
+  it('should keep manual verdicts as the effective verdict', async function() {
+    const manual = await request(app)
+      .post(`/api/mvp/sets/${setId}/evaluate`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ evaluationId: setId, questionIndex: 0, modelName: 'GPT-4.1', isCorrect: true });
+    assert.strictEqual(manual.status, 200);
+
+    await rejudge({ questions: [0], models: ['gpt41'] });
+
+    const result = (await getSet()).questions[0].results[0];
+    assert.strictEqual(result.evaluation.evaluation_type, 'manual');
+    assert.strictEqual(result.auto_evaluation.judging_pass, 4);
+  });
+
+  it('should reject filters that match nothing or are invalid', async function() {
+    const noMatch = await request(app)
+      .post(`/api/mvp/sets/${setId}/rejudge`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ models: ['unknown-model'] });
+    assert.strictEqual(noMatch.status, 400);
+
+    const badIndex = await request(app)
+      .post(`/api/mvp/sets/${setId}/rejudge`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ questions: [5] });
+    assert.strictEqual(badIndex.status, 400);
+
+    const badScorer = await request(app)
+      .post(`/api/mvp/sets/${setId}/rejudge`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ scorer: 'nonsense' });
+    assert.strictEqual(badScorer.status, 400);
+  });
+
+  it('should return 404 for unknown sets', async function() {
+    const response = await request(app)
+      .post('/api/mvp/sets/no-such-set/rejudge')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({});
+    assert.strictEqual(response.status, 404);
+  });
+});
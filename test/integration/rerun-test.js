@@ -0,0 +1,101 @@
+// Integration test for rerunning question×model pairs of an existing set
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Rerun', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let setId;
+
+  const getSet = async (query = '') => (await request(app)
+    .get(`/api/mvp/sets/${setId}${query}`)
+    .set('Authorization', `Bearer ${authToken}`)).body;
+
+  const rerun = async (body) => {
+    const response = await request(app)
+      .post(`/api/mvp/sets/${setId}/rerun`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+    assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+    return waitForJob(app, response.body.jobId, authToken);
+  };
+
+  before(async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: '[mock-error:401] This call is rejected', referenceAnswer: 'n/a' }
+        ],
+        models: ['gpt41'],
+        setName: 'Rerun Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    setId = job.setId;
+  });
+
+  it('should rerun only the failed pairs and keep the earlier attempt', async function() {
+    const job = await rerun({ failedOnly: true });
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.progress.total, 1);
+
+    const set = await getSet('?history=true');
+    assert.deepStrictEqual(set.results.runs.map((run) => run.run), [1, 2]);
+    assert.strictEqual(set.questions[0].results[0].run, undefined, 'Successful pairs should not be rerun');
+
+    const failed = set.questions[1].results[0];
+    assert.strictEqual(failed.run, 2);
+    assert.strictEqual(failed.previous_runs.length, 1);
+    assert.strictEqual(failed.previous_runs[0].run, 1);
+    assert.strictEqual(failed.previous_runs[0].status, 'error');
+  });
+
+  it('should only return the latest attempt unless the history is asked for', async function() {
+    const set = await getSet();
+    assert.strictEqual(set.questions[1].results[0].run, 2);
+    assert.strictEqual(set.questions[1].results[0].previous_runs, undefined);
+  });
+
+  it('should add a new model to the chosen questions', async function() {
+    await rerun({ questions: [0], models: ['claude3'] });
+
+    const set = await getSet('?history=true');
+    const question = set.questions[0];
+    assert.deepStrictEqual(question.results.map((result) => result.model_key), ['gpt41', 'claude3']);
+    assert.strictEqual(question.results[1].run, 3);
+    assert.deepStrictEqual(question.results[1].previous_runs, []);
+    assert.strictEqual(question.results[1].evaluation.evaluation_type, 'automatic');
+    assert.strictEqual(question.models.claude3, true);
+    assert.strictEqual(set.questions[1].results.length, 1, 'Questions that were not chosen should not change');
+  });
+
+  it('should rerun with new generation params and count every attempt in usage', async function() {
+    await rerun({ questions: [0], models: ['gpt41'], generationParams: { temperature: 0.5 } });
+
+    const set = await getSet('?history=true');
+    const result = set.questions[0].results[0];
+    assert.strictEqual(result.run, 4);
+    assert.deepStrictEqual(result.params, { temperature: 0.5 });
+    assert.deepStrictEqual(result.previous_runs.map((previous) => previous.run), [1]);
+    assert.strictEqual(set.results.usage.models.gpt41.calls, 2);
+  });
+
+  it('should reject unknown models and sets', async function() {
+    const unknownModel = await request(app)
+      .post(`/api/mvp/sets/${setId}/rerun`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ models: ['no-such-model'] });
+    assert.strictEqual(unknownModel.status, 400);
+
+    const unknownSet = await request(app)
+      .post('/api/mvp/sets/no-such-set/rerun')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({});
+    assert.strictEqual(unknownSet.status, 404);
+  });
+});
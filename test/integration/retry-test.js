@@ -0,0 +1,108 @@
+// Tests for classifying provider errors and retrying the retryable ones
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { classifyError, withRetry } = require('../../src/lib/retry');
+
+// Builds an error shaped like the provider SDKs' errors
+const providerError = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+describe('Retries', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  it('should class rate limits, server errors, timeouts and network resets as retryable', function() {
+    const cases = [
+      [providerError('Too many requests', { status: 429 }), 'rate_limit'],
+      [providerError('Bad gateway', { status: 502 }), 'server_error'],
+      [providerError('Service unavailable', { status: 503 }), 'server_error'],
+      [providerError('Request timed out.', { name: 'APIConnectionTimeoutError' }), 'timeout'],
+      [providerError('connect ETIMEDOUT', { code: 'ETIMEDOUT' }), 'timeout'],
+      [providerError('socket hang up', { code: 'ECONNRESET' }), 'network'],
+    ];
+    cases.forEach(([error, errorClass]) => {
+      assert.deepStrictEqual(
+        { errorClass: classifyError(error).errorClass, retryable: classifyError(error).retryable },
+        { errorClass, retryable: true },
+        error.message
+      );
+    });
+  });
+
+  it('should not retry auth, bad request, unknown model or content-policy errors', function() {
+    const cases = [
+      [providerError('Invalid API key', { status: 401 }), 'auth'],
+      [providerError('Forbidden', { status: 403 }), 'auth'],
+      [providerError('gpt-9 is not a valid model ID', { status: 400 }), 'invalid_model'],
+      [providerError('No endpoints found for test/model', { status: 404 }), 'invalid_model'],
+      [providerError('max_tokens is too large', { status: 400 }), 'bad_request'],
+      [providerError('Your request was flagged by our moderation system', { status: 400 }), 'content_policy'],
+      [providerError('[GoogleGenerativeAI Error]: Candidate was blocked due to SAFETY'), 'content_policy'],
+    ];
+    cases.forEach(([error, errorClass]) => {
+      assert.deepStrictEqual(
+        { errorClass: classifyError(error).errorClass, retryable: classifyError(error).retryable },
+        { errorClass, retryable: false },
+        error.message
+      );
+    });
+  });
+
+  it('should not mistake other errors that mention safety for content-policy rejections', function() {
+    const error = providerError('Upstream safety-check service is overloaded', { status: 503 });
+    assert.strictEqual(classifyError(error).errorClass, 'server_error');
+    assert.strictEqual(classifyError(error).retryable, true);
+  });
+
+  it('should retry until the call succeeds or the retries run out', async function() {
+    let calls = 0;
+    const recovered = await withRetry(async (attempt) => {
+      calls += 1;
+      if (attempt < 3) throw providerError('Service unavailable', { status: 503 });
+      return 'ok';
+    }, { baseDelayMs: 1, maxRetries: 3 });
+    assert.deepStrictEqual(recovered, { value: 'ok', attempts: 3 });
+    assert.strictEqual(calls, 3);
+
+    await assert.rejects(
+      withRetry(async () => { throw providerError('Too many requests', { status: 429 }); }, { baseDelayMs: 1, maxRetries: 2 }),
+      (error) => error.attempts === 3 && error.errorClass === 'rate_limit' && error.retryable === true
+    );
+
+    calls = 0;
+    await assert.rejects(
+      withRetry(async () => { calls += 1; throw providerError('Invalid API key', { status: 401 }); }, { baseDelayMs: 1 }),
+      (error) => error.attempts === 1 && error.errorClass === 'auth' && error.retryable === false
+    );
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should record attempts and error_class on each result', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: '[mock-error:429] Slow down', referenceAnswer: 'n/a' },
+          { question: '[mock-error:400] Bad request', referenceAnswer: 'n/a' }
+        ],
+        models: ['gpt41'],
+        setName: 'Retry Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const [ok, rateLimited, badRequest] = setResponse.body.questions.map((question) => question.results[0]);
+    assert.strictEqual(ok.attempts, 1);
+    assert.strictEqual(ok.error_class, null);
+    assert.strictEqual(rateLimited.attempts, 4);
+    assert.strictEqual(rateLimited.error_class, 'rate_limit');
+    assert.strictEqual(badRequest.attempts, 1);
+    assert.strictEqual(badRequest.error_class, 'bad_request');
+  });
+});
@@ -0,0 +1,75 @@
+// Integration tests for programmatic scorers against the offline mock provider
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+
+describe('Programmatic Scorers', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+
+  it('should grade each question with its own scorer instead of the judge', async function() {
+    // The mock provider answers "What is 2+2?" with "The answer is 4."
+    const scorers = [
+      ['4', 'exact', false],
+      ['the answer   is 4.', 'normalized', true],
+      ['4', { type: 'regex', pattern: '\\b4\\b' }, true],
+      ['4', { type: 'contains_all', keywords: ['answer', 'five'] }, false],
+      ['4', { type: 'contains_any', keywords: ['five', 'ANSWER'] }, true],
+      ['4.001', { type: 'numeric', tolerance: 0.01 }, true],
+      ['{"answer": 4}', 'json_equal', false]
+    ];
+
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: scorers.map(([referenceAnswer, scorer]) => ({ question: 'What is 2+2?', referenceAnswer, scorer })),
+        models: ['gpt41'],
+        setName: 'Scorer Test'
+      });
+    assert.strictEqual(response.status, 202, JSON.stringify(response.body));
+
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    const setResponse = await request(app)
+      .get(`/api/mvp/sets/${job.setId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    setResponse.body.questions.forEach((question, index) => {
+      const [, scorer, expected] = scorers[index];
+      const type = typeof scorer === 'string' ? scorer : scorer.type;
+      const { evaluation, judge_usage: judgeUsage } = question.results[0];
+
+      assert.strictEqual(question.scorer.type, type);
+      assert.strictEqual(evaluation.evaluation_type, `scorer:${type}`);
+      assert.strictEqual(evaluation.is_correct, expected, `${type}: ${evaluation.reasoning}`);
+      assert.strictEqual(judgeUsage, undefined, 'Scored questions should not call the judge');
+    });
+  });
+
+  it('should reject invalid scorer settings', async function() {
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4', scorer: 'fuzzy' },
+          { question: 'What is 2+2?', referenceAnswer: 'four', scorer: { type: 'numeric' } },
+          { question: 'What is 2+2?', referenceAnswer: '4', scorer: { type: 'regex', pattern: '(' } },
+          { question: 'What is 2+2?', referenceAnswer: '4', scorer: { type: 'regex', pattern: '^(a+)+$' } },
+          { question: 'What is 2+2?', referenceAnswer: '4', scorer: { type: 'regex', pattern: '^(?:(\\w*)\\s?)*$' } },
+          { question: 'What is 2+2?', referenceAnswer: '4', scorer: { type: 'regex', pattern: 'a'.repeat(201) } }
+        ],
+        models: ['gpt41']
+      });
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, /questions\[0\].scorer.type must be one of/);
+    assert.match(response.body.error, /questions\[1\].scorer needs a reference answer containing a number/);
+    assert.match(response.body.error, /questions\[2\].scorer.pattern is not a valid regular expression/);
+    assert.match(response.body.error, /questions\[3\].scorer.pattern has a quantified group containing another quantifier/);
+    assert.match(response.body.error, /questions\[4\].scorer.pattern has a quantified group containing another quantifier/);
+    assert.match(response.body.error, /questions\[5\].scorer.pattern can be at most 200 characters/);
+  });
+});
@@ -0,0 +1,92 @@
+// Integration test for significance testing between two models
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { mcnemarTest, compareModels } = require('../../src/lib/significance');
+
+describe('Model Significance', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let setId;
+
+  const compare = (query) => request(app)
+    .get(`/api/mvp/sets/${setId}/compare`)
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  // A set where both models answered every question, with the given verdicts
+  const buildSet = (verdicts) => ({
+    questions: verdicts.map(([a, b]) => ({
+      results: [
+        { model: 'Model A', model_key: 'a', status: 'ok', evaluation: { is_correct: a, evaluation_type: 'automatic' } },
+        { model: 'Model B', model_key: 'b', status: 'ok', evaluation: { is_correct: b, evaluation_type: 'automatic' } },
+      ],
+    })),
+  });
+
+  before(async function() {
+    // Graded by hand: GPT-4.1 gets ten questions Claude misses, and both get the last two right
+    const questions = Array.from({ length: 12 }, (_, index) => ({ question: `Question ${index}`, referenceAnswer: 'x' }));
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ questions, models: ['gpt41', 'claude3'], evaluateAutomatically: false, setName: 'Significance Test' });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    setId = job.setId;
+
+    for (let questionIndex = 0; questionIndex < questions.length; questionIndex++) {
+      for (const [modelName, isCorrect] of [['GPT-4.1', true], ['Claude Sonnet 4', questionIndex >= 10]]) {
+        const manual = await request(app)
+          .post(`/api/mvp/sets/${setId}/evaluate`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ evaluationId: setId, questionIndex, modelName, isCorrect });
+        assert.strictEqual(manual.status, 200);
+      }
+    }
+  });
+
+  it('should use the exact McNemar test for few discordant pairs', function() {
+    assert.strictEqual(mcnemarTest(10, 2).method, 'exact');
+    assert.strictEqual(mcnemarTest(10, 2).p_value.toFixed(4), '0.0386');
+    assert.strictEqual(mcnemarTest(30, 10).method, 'chi_square');
+    assert.strictEqual(mcnemarTest(30, 10).p_value.toFixed(4), '0.0027');
+    assert.strictEqual(mcnemarTest(0, 0).p_value, 1);
+  });
+
+  it('should report a significant gap with a plain-language verdict', async function() {
+    const response = await compare({ modelA: 'gpt41', modelB: 'claude3' });
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+
+    const body = response.body;
+    assert.strictEqual(body.paired_questions, 12);
+    assert.deepStrictEqual(body.contingency, { both_correct: 2, only_a_correct: 10, only_b_correct: 0, both_incorrect: 0 });
+    assert.strictEqual(body.mcnemar.p_value, 2 / 1024);
+    assert.strictEqual(body.significant, true);
+    assert.ok(body.bootstrap.lower > 0 && body.bootstrap.upper <= 1);
+    assert.match(body.verdict, /^GPT-4\.1 is significantly more accurate than Claude Sonnet 4/);
+  });
+
+  it('should not call a small gap significant', function() {
+    // 40 questions: A gets 33 right, B 31, with the gap from four discordant questions
+    const verdicts = Array.from({ length: 40 }, (_, index) => {
+      if (index < 30) return [true, true];
+      if (index < 33) return [true, false];
+      if (index < 34) return [false, true];
+      return [false, false];
+    });
+    const comparison = compareModels(buildSet(verdicts), 'a', 'b');
+
+    assert.strictEqual(comparison.accuracy_difference, 2 / 40);
+    assert.strictEqual(comparison.significant, false);
+    assert.ok(comparison.bootstrap.lower < 0, 'The interval should include zero');
+    assert.match(comparison.verdict, /not statistically significant/);
+  });
+
+  it('should reject missing, identical and unknown models', async function() {
+    assert.strictEqual((await compare({ modelA: 'gpt41' })).status, 400);
+    assert.strictEqual((await compare({ modelA: 'gpt41', modelB: 'gpt41' })).status, 400);
+    assert.strictEqual((await compare({ modelA: 'gpt41', modelB: 'gemini' })).status, 404);
+  });
+});
@@ -0,0 +1,108 @@
+// Integration test for set statistics
+const assert = require('assert');
+const request = require('supertest');
+const app = require('../../src/index.js');
+const { waitForJob } = require('../helpers');
+const { wilsonInterval, percentile, summarizeStats } = require('../../src/lib/stats');
+
+describe('Set Statistics', function() {
+  this.timeout(10000);
+
+  const authToken = 'test-token';
+  let setId;
+
+  const getStats = (query = {}) => request(app)
+    .get(`/api/mvp/sets/${setId}/stats`)
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  before(async function() {
+    // The mock judge marks the first question correct and the second incorrect; the third call fails
+    const response = await request(app)
+      .post('/api/mvp/evaluate-set')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        questions: [
+          { question: 'What is 2+2?', referenceAnswer: '4' },
+          { question: 'What is the capital of France?', referenceAnswer: 'Paris' },
+          { question: '[mock-error:401] This call is rejected', referenceAnswer: 'n/a' }
+        ],
+        models: ['gpt41', 'claude3'],
+        setName: 'Stats Test'
+      });
+    const job = await waitForJob(app, response.body.jobId, authToken);
+    setId = job.setId;
+
+    const manual = await request(app)
+      .post(`/api/mvp/sets/${setId}/evaluate`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ evaluationId: setId, questionIndex: 1, modelName: 'Claude Sonnet 4', isCorrect: true });
+    assert.strictEqual(manual.status, 200);
+  });
+
+  it('should compute Wilson intervals and interpolated percentiles', function() {
+    const interval = wilsonInterval(8, 10);
+    assert.strictEqual(interval.lower.toFixed(3), '0.490');
+    assert.strictEqual(interval.upper.toFixed(3), '0.943');
+    assert.strictEqual(wilsonInterval(0, 0), null);
+    assert.strictEqual(percentile([10, 20, 30, 40], 50), 25);
+    assert.strictEqual(percentile([10, 20, 30, 40], 100), 40);
+  });
+
+  it('should report counts and accuracy intervals per model', async function() {
+    const response = await getStats();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.confidence, 0.95);
+
+    const { gpt41, claude3 } = response.body.models;
+    assert.strictEqual(gpt41.correct, 1);
+    assert.strictEqual(gpt41.incorrect, 1);
+    assert.strictEqual(gpt41.errored, 1);
+    assert.deepStrictEqual(gpt41.accuracy_ci, wilsonInterval(1, 2));
+    assert.strictEqual(claude3.correct, 2);
+    assert.strictEqual(response.body.overall.total, 6);
+  });
+
+  it('should report response and judge latency percentiles', async function() {
+    const { overall, models } = (await getStats()).body;
+    assert.strictEqual(overall.latency.response.count, 4, 'Failed calls should be left out');
+    assert.strictEqual(overall.latency.judge.count, 4);
+    ['p50', 'p90', 'p99'].forEach((key) => assert.strictEqual(typeof models.gpt41.latency.response[key], 'number'));
+    assert.ok(overall.latency.response.p50 <= overall.latency.response.p99);
+  });
+
+  it('should break accuracy down by manual and automatic verdicts', async function() {
+    const { claude3 } = (await getStats()).body.models;
+    assert.strictEqual(claude3.evaluation_sources.manual.total, 1);
+    assert.strictEqual(claude3.evaluation_sources.manual.accuracy, 1);
+    assert.strictEqual(claude3.evaluation_sources.automatic.total, 1);
+  });
+
+  it('should keep a model keyed "overall" apart from the aggregate', function() {
+    const result = (modelKey, responseTime, isCorrect) => ({
+      model_key: modelKey,
+      model: modelKey,
+      status: 'ok',
+      timings: { responseTime },
+      evaluation: { evaluation_type: 'automatic', is_correct: isCorrect }
+    });
+    const stats = summarizeStats({
+      questions: [{ results: [result('overall', 100, true), result('gpt41', 300, false)] }]
+    });
+
+    assert.strictEqual(stats.models.overall.total, 1);
+    assert.strictEqual(stats.models.overall.latency.response.count, 1);
+    assert.strictEqual(stats.models.overall.latency.response.p50, 100);
+    assert.strictEqual(stats.models.overall.evaluation_sources.automatic.total, 1);
+    assert.strictEqual(stats.overall.total, 2);
+    assert.strictEqual(stats.overall.latency.response.count, 2);
+    assert.strictEqual(stats.overall.evaluation_sources.automatic.total, 2);
+  });
+
+  it('should accept other confidence levels and reject unknown ones', async function() {
+    const narrow = (await getStats({ confidence: 0.8 })).body.models.gpt41.accuracy_ci;
+    const wide = (await getStats({ confidence: 0.99 })).body.models.gpt41.accuracy_ci;
+    assert.ok(wide.lower < narrow.lower);
+    assert.strictEqual((await getStats({ confidence: 0.5 })).status, 400);
+  });
+});
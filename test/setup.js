@@ -0,0 +1,11 @@
+// Run every test offline. Set before the app is required:
+// - the mock provider answers model and judge calls
+// - Supabase is disabled, so sets stay in memory
+// - 'test-token' signs in as a local user
+process.env.MODEL_PROVIDER = 'mock';
+process.env.MOCK_LATENCY_MS = '5';
+process.env.MOCK_RESPONSES = JSON.stringify({ 'What is 2+2?': 'The answer is 4.' });
+process.env.MODEL_RETRY_BASE_MS = '1';
+process.env.SUPABASE_URL = '';
+process.env.SUPABASE_SERVICE_ROLE_KEY = '';
+process.env.OFFLINE_AUTH_TOKEN = 'test-token';